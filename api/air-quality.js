@@ -1,15 +1,25 @@
-const axios = require('axios');
-
-const REGION_MAPPING = {
-  '서울': '서울', '부산': '부산', '제주': '제주', '강릉': '강원',
-  '전주': '전북', '대구': '대구', '광주': '광주', '대전': '대전'
-};
+const {
+  getAirKoreaApiKey,
+  getAirQuality,
+  getAirQualityForecast,
+  latLngToTm
+} = require('../lib/air-quality-service');
 
 module.exports = async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   
   try {
     const region = req.query.region || '서울';
+    const mode = req.query.mode || 'current';
+
+    if (mode !== 'current' && mode !== 'forecast') {
+      return res.status(400).json({
+        success: false,
+        error: 'UNSUPPORTED_MODE',
+        message: `지원하지 않는 mode입니다: ${mode}`,
+        supportedModes: ['current', 'forecast']
+      });
+    }
     
     // === 모든 환경변수 체크 ===
     console.log('🔑 환경변수 전체 체크:', {
@@ -21,15 +31,17 @@ module.exports = async function handler(req, res) {
       AIR_API_KEY: !!process.env.AIR_API_KEY
     });
     
-    // 기존 키로 시도
-    let apiKey = process.env.AIR_KOREA_API_KEY;
-    
-    // 없으면 다른 키들 시도
-    if (!apiKey) {
-      apiKey = process.env.TOURISM_API_KEY; // 같은 키일 수도
-      console.log('🔄 TOURISM_API_KEY로 시도...');
+    const apiKey = getAirKoreaApiKey();
+
+    // 예보는 샘플 데이터로 대신하지 않는다
+    if (!apiKey && mode === 'forecast') {
+      return res.status(503).json({
+        success: false,
+        error: 'API_KEY_MISSING',
+        message: 'AIR_KOREA_API_KEY 환경 변수가 설정되지 않아 대기질 예보를 조회할 수 없습니다'
+      });
     }
-    
+
     if (!apiKey) {
       console.log('❌ 모든 API 키 없음');
       return res.json({
@@ -46,68 +58,27 @@ module.exports = async function handler(req, res) {
     }
 
     console.log('✅ API 키 발견, 대기질 API 시도...');
-    
-    const sidoName = REGION_MAPPING[region] || '서울';
-
-    const response = await axios.get('http://apis.data.go.kr/B552584/ArpltnInforInqireSvc/getCtprvnRltmMesureDnsty', {
-      params: {
-        serviceKey: apiKey,
-        returnType: 'json',
-        numOfRows: 10,
-        pageNo: 1,
-        sidoName: sidoName,
-        ver: '1.0'
-      },
-      timeout: 8000
-    });
-
-    console.log('📊 대기질 API 응답:', {
-      status: response.status,
-      contentType: response.headers['content-type'],
-      isJSON: response.headers['content-type']?.includes('json'),
-      resultCode: response.data?.response?.header?.resultCode
-    });
 
-    if (!response.data || !response.data.response || response.data.response.header.resultCode !== '00') {
-      throw new Error(`대기질 API 응답 오류: ${response.data?.response?.header?.resultMsg || '알 수 없는 오류'}`);
+    if (mode === 'forecast') {
+      const data = await getAirQualityForecast(apiKey, { region, forecastRegion: req.query.forecastRegion });
+      return res.json({ success: true, data });
     }
 
-    const items = response.data.response.body?.items || [];
-    const item = items[0];
-    
-    if (!item) {
-      throw new Error('대기질 데이터 없음');
-    }
+    const data = await getAirQuality(apiKey, { region, query: req.query });
+    return res.json({ success: true, data });
 
-    const pm10 = parseFloat(item.pm10Value) || null;
-    const pm25 = parseFloat(item.pm25Value) || null;
-    
-    let status = '정보 없음';
-    if (pm10 !== null) {
-      if (pm10 <= 30) status = '좋음';
-      else if (pm10 <= 80) status = '보통';
-      else if (pm10 <= 150) status = '나쁨';
-      else status = '매우나쁨';
+  } catch (error) {
+    // 요청이 잘못됐거나 예보를 못 가져온 경우는 샘플 데이터로 대신하지 않는다
+    if (error.name === 'ServiceError') {
+      return res.status(error.status).json({
+        success: false,
+        error: error.code,
+        message: error.message,
+        ...(error.supportedRegions && { supportedRegions: error.supportedRegions }),
+        ...(error.status === 502 && { region: req.query.region || '서울' })
+      });
     }
 
-    console.log('🎉 대기질 데이터 성공:', { pm10, pm25, status });
-
-    return res.json({
-      success: true,
-      data: {
-        region,
-        pm10,
-        pm25,
-        status,
-        stationName: item.stationName,
-        dataTime: item.dataTime,
-        message: '🌬️ 실시간 대기질 데이터',
-        time: new Date().toLocaleString('ko-KR'),
-        apiKeyUsed: apiKey ? 'found' : 'not_found'
-      }
-    });
-
-  } catch (error) {
     console.error('❌ 대기질 API 오류:', error.message);
     return res.json({
       success: true,
@@ -122,3 +93,5 @@ module.exports = async function handler(req, res) {
     });
   }
 };
+
+module.exports.latLngToTm = latLngToTm;
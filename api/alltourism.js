@@ -8,6 +8,10 @@ if (isNode && typeof fetch === 'undefined') {
     global.AbortController = require('abort-controller');
 }
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
 // ===== 서비스 시작 시간 추적 =====
 const SERVICE_START_TIME = Date.now();
 
@@ -166,7 +170,13 @@ class InternationalizationManager {
             ENUM_ERROR: '는 다음 값 중 하나여야 합니다: {values}',
             BATCH_CONTENT_IDS_REQUIRED: '배치 작업에는 contentIds 배열이 필요합니다',
             CONFIG_VALIDATION_FAILED: '설정 검증 실패',
-            API_ERROR: 'API 호출 오류'
+            API_ERROR: 'API 호출 오류',
+            SYNC_IN_PROGRESS: '다른 동기화 작업이 진행 중입니다',
+            INVALID_SYNC_CURSOR: '동기화 커서가 올바르지 않습니다',
+            MIRROR_IO_ERROR: '미러 저장소를 읽거나 쓸 수 없습니다',
+            MIRROR_NOT_CONFIGURED: 'TOURISM_MIRROR_PATH 환경변수가 설정되지 않았습니다',
+            SYNC_ADMIN_REQUIRED: '동기화 실행/초기화에는 관리자 키가 필요합니다',
+            SYNC_ADMIN_NOT_CONFIGURED: 'SYNC_ADMIN_KEY 환경변수가 설정되지 않아 동기화 실행/초기화를 할 수 없습니다'
         });
 
         this.messages.set('en', {
@@ -190,7 +200,13 @@ class InternationalizationManager {
             ENUM_ERROR: ' must be one of: {values}',
             BATCH_CONTENT_IDS_REQUIRED: 'Batch operation requires contentIds array',
             CONFIG_VALIDATION_FAILED: 'Configuration validation failed',
-            API_ERROR: 'API call error'
+            API_ERROR: 'API call error',
+            SYNC_IN_PROGRESS: 'Another sync run is in progress',
+            INVALID_SYNC_CURSOR: 'Invalid sync cursor',
+            MIRROR_IO_ERROR: 'Failed to read or write the content mirror',
+            MIRROR_NOT_CONFIGURED: 'TOURISM_MIRROR_PATH environment variable not configured',
+            SYNC_ADMIN_REQUIRED: 'Sync run/reset requires the admin key',
+            SYNC_ADMIN_NOT_CONFIGURED: 'SYNC_ADMIN_KEY environment variable not configured; sync run/reset is disabled'
         });
     }
 
@@ -234,7 +250,8 @@ class ConstantsManager {
             'areaCode', 'categoryCode', 'areaBasedList', 'locationBasedList', 
             'searchKeyword', 'searchFestival', 'searchStay', 'detailCommon', 
             'detailIntro', 'detailInfo', 'detailImage', 'areaBasedSyncList',
-            'detailPetTour', 'ldongCode', 'lclsSystmCode', 'batchDetail'
+            'detailPetTour', 'ldongCode', 'lclsSystmCode', 'batchDetail', 'sync',
+            'codes'
         ];
 
         this.CONTENT_TYPE_MAP = {
@@ -248,6 +265,203 @@ class ConstantsManager {
             '39': { name: '음식점', icon: '🍽️', en: 'Restaurant' }
         };
 
+        // detailIntro2 응답 정규화 스키마 (정규화 필드명 → 원본 필드, 값 타입)
+        // 타입: text(HTML 제거 문자열), date(YYYY-MM-DD), number(정수), flag(true/false/null)
+        this.INTRO_SCHEMAS = {
+            '12': {
+                infoCenter: { field: 'infocenter', type: 'text' },
+                openDate: { field: 'opendate', type: 'text' },
+                restDate: { field: 'restdate', type: 'text' },
+                useTime: { field: 'usetime', type: 'text' },
+                useSeason: { field: 'useseason', type: 'text' },
+                expGuide: { field: 'expguide', type: 'text' },
+                expAgeRange: { field: 'expagerange', type: 'text' },
+                accomCount: { field: 'accomcount', type: 'text' },
+                parking: { field: 'parking', type: 'text' },
+                heritage: { field: 'heritage1', type: 'flag' },
+                babyCarriage: { field: 'chkbabycarriage', type: 'flag' },
+                pet: { field: 'chkpet', type: 'flag' },
+                creditCard: { field: 'chkcreditcard', type: 'flag' }
+            },
+            '14': {
+                infoCenter: { field: 'infocenterculture', type: 'text' },
+                restDate: { field: 'restdateculture', type: 'text' },
+                useTime: { field: 'usetimeculture', type: 'text' },
+                useFee: { field: 'usefee', type: 'text' },
+                discountInfo: { field: 'discountinfo', type: 'text' },
+                spendTime: { field: 'spendtime', type: 'text' },
+                scale: { field: 'scale', type: 'text' },
+                accomCount: { field: 'accomcountculture', type: 'text' },
+                parking: { field: 'parkingculture', type: 'text' },
+                parkingFee: { field: 'parkingfee', type: 'text' },
+                babyCarriage: { field: 'chkbabycarriageculture', type: 'flag' },
+                pet: { field: 'chkpetculture', type: 'flag' },
+                creditCard: { field: 'chkcreditcardculture', type: 'flag' }
+            },
+            '15': {
+                eventStartDate: { field: 'eventstartdate', type: 'date' },
+                eventEndDate: { field: 'eventenddate', type: 'date' },
+                playTime: { field: 'playtime', type: 'text' },
+                eventPlace: { field: 'eventplace', type: 'text' },
+                placeInfo: { field: 'placeinfo', type: 'text' },
+                eventHomepage: { field: 'eventhomepage', type: 'text' },
+                useFee: { field: 'usetimefestival', type: 'text' },
+                discountInfo: { field: 'discountinfofestival', type: 'text' },
+                spendTime: { field: 'spendtimefestival', type: 'text' },
+                ageLimit: { field: 'agelimit', type: 'text' },
+                bookingPlace: { field: 'bookingplace', type: 'text' },
+                program: { field: 'program', type: 'text' },
+                subEvent: { field: 'subevent', type: 'text' },
+                sponsor: { field: 'sponsor1', type: 'text' },
+                sponsorTel: { field: 'sponsor1tel', type: 'text' },
+                organizer: { field: 'sponsor2', type: 'text' },
+                organizerTel: { field: 'sponsor2tel', type: 'text' },
+                festivalGrade: { field: 'festivalgrade', type: 'text' },
+                progressType: { field: 'progresstype', type: 'text' },
+                festivalType: { field: 'festivaltype', type: 'text' }
+            },
+            '25': {
+                infoCenter: { field: 'infocentertourcourse', type: 'text' },
+                distance: { field: 'distance', type: 'text' },
+                takeTime: { field: 'taketime', type: 'text' },
+                schedule: { field: 'schedule', type: 'text' },
+                theme: { field: 'theme', type: 'text' }
+            },
+            '28': {
+                infoCenter: { field: 'infocenterleports', type: 'text' },
+                openPeriod: { field: 'openperiod', type: 'text' },
+                restDate: { field: 'restdateleports', type: 'text' },
+                useTime: { field: 'usetimeleports', type: 'text' },
+                useFee: { field: 'usefeeleports', type: 'text' },
+                reservation: { field: 'reservation', type: 'text' },
+                expAgeRange: { field: 'expagerangeleports', type: 'text' },
+                scale: { field: 'scaleleports', type: 'text' },
+                accomCount: { field: 'accomcountleports', type: 'text' },
+                parking: { field: 'parkingleports', type: 'text' },
+                parkingFee: { field: 'parkingfeeleports', type: 'text' },
+                babyCarriage: { field: 'chkbabycarriageleports', type: 'flag' },
+                pet: { field: 'chkpetleports', type: 'flag' },
+                creditCard: { field: 'chkcreditcardleports', type: 'flag' }
+            },
+            '32': {
+                infoCenter: { field: 'infocenterlodging', type: 'text' },
+                checkInTime: { field: 'checkintime', type: 'text' },
+                checkOutTime: { field: 'checkouttime', type: 'text' },
+                roomCount: { field: 'roomcount', type: 'number' },
+                roomType: { field: 'roomtype', type: 'text' },
+                scale: { field: 'scalelodging', type: 'text' },
+                accomCount: { field: 'accomcountlodging', type: 'text' },
+                reservation: { field: 'reservationlodging', type: 'text' },
+                reservationUrl: { field: 'reservationurl', type: 'text' },
+                refundRegulation: { field: 'refundregulation', type: 'text' },
+                foodPlace: { field: 'foodplace', type: 'text' },
+                subFacility: { field: 'subfacility', type: 'text' },
+                pickup: { field: 'pickup', type: 'text' },
+                parking: { field: 'parkinglodging', type: 'text' },
+                cooking: { field: 'chkcooking', type: 'flag' },
+                seminar: { field: 'seminar', type: 'flag' },
+                sports: { field: 'sports', type: 'flag' },
+                sauna: { field: 'sauna', type: 'flag' },
+                beauty: { field: 'beauty', type: 'flag' },
+                beverage: { field: 'beverage', type: 'flag' },
+                karaoke: { field: 'karaoke', type: 'flag' },
+                barbecue: { field: 'barbecue', type: 'flag' },
+                campfire: { field: 'campfire', type: 'flag' },
+                bicycle: { field: 'bicycle', type: 'flag' },
+                fitness: { field: 'fitness', type: 'flag' },
+                publicPc: { field: 'publicpc', type: 'flag' },
+                publicBath: { field: 'publicbath', type: 'flag' }
+            },
+            '38': {
+                infoCenter: { field: 'infocentershopping', type: 'text' },
+                openDate: { field: 'opendateshopping', type: 'text' },
+                openTime: { field: 'opentime', type: 'text' },
+                restDate: { field: 'restdateshopping', type: 'text' },
+                fairDay: { field: 'fairday', type: 'text' },
+                saleItem: { field: 'saleitem', type: 'text' },
+                saleItemCost: { field: 'saleitemcost', type: 'text' },
+                shopGuide: { field: 'shopguide', type: 'text' },
+                scale: { field: 'scaleshopping', type: 'text' },
+                cultureCenter: { field: 'culturecenter', type: 'text' },
+                restroom: { field: 'restroom', type: 'text' },
+                parking: { field: 'parkingshopping', type: 'text' },
+                babyCarriage: { field: 'chkbabycarriageshopping', type: 'flag' },
+                pet: { field: 'chkpetshopping', type: 'flag' },
+                creditCard: { field: 'chkcreditcardshopping', type: 'flag' }
+            },
+            '39': {
+                infoCenter: { field: 'infocenterfood', type: 'text' },
+                firstMenu: { field: 'firstmenu', type: 'text' },
+                treatMenu: { field: 'treatmenu', type: 'text' },
+                openDate: { field: 'opendatefood', type: 'text' },
+                openTime: { field: 'opentimefood', type: 'text' },
+                restDate: { field: 'restdatefood', type: 'text' },
+                discountInfo: { field: 'discountinfofood', type: 'text' },
+                reservation: { field: 'reservationfood', type: 'text' },
+                seat: { field: 'seat', type: 'text' },
+                scale: { field: 'scalefood', type: 'text' },
+                parking: { field: 'parkingfood', type: 'text' },
+                licenseNo: { field: 'lcnsno', type: 'text' },
+                kidsFacility: { field: 'kidsfacility', type: 'flag' },
+                smoking: { field: 'smoking', type: 'flag' },
+                packing: { field: 'packing', type: 'flag' },
+                creditCard: { field: 'chkcreditcardfood', type: 'flag' }
+            }
+        };
+
+        // detailInfo2 숙박 객실 편의시설 필드 (값: 'Y'/'N')
+        this.ROOM_AMENITY_FIELDS = {
+            bathFacility: 'roombathfacility',
+            bath: 'roombath',
+            homeTheater: 'roomhometheater',
+            airCondition: 'roomaircondition',
+            tv: 'roomtv',
+            pc: 'roompc',
+            cable: 'roomcable',
+            internet: 'roominternet',
+            refrigerator: 'roomrefrigerator',
+            toiletries: 'roomtoiletries',
+            sofa: 'roomsofa',
+            cook: 'roomcook',
+            table: 'roomtable',
+            hairDryer: 'roomhairdryer'
+        };
+
+        // 공공누리 저작권 유형 (cpyrhtDivCd)
+        this.COPYRIGHT_TYPE_MAP = {
+            'Type1': { name: '제1유형: 출처표시', en: 'Type 1: Attribution', commercialUse: true, modification: true },
+            'Type2': { name: '제2유형: 출처표시+상업적 이용금지', en: 'Type 2: Attribution, Non-commercial', commercialUse: false, modification: true },
+            'Type3': { name: '제3유형: 출처표시+변경금지', en: 'Type 3: Attribution, No derivatives', commercialUse: true, modification: false },
+            'Type4': { name: '제4유형: 출처표시+상업적 이용금지+변경금지', en: 'Type 4: Attribution, Non-commercial, No derivatives', commercialUse: false, modification: false }
+        };
+
+        // 숙박 인증 구분. KorService2 searchStay2는 인증 여부를 파라미터로 받지 않으므로
+        // 응답 필드(field) 또는 분류코드(cat3)가 있을 때만 결과에서 걸러낸다
+        this.STAY_CERTIFICATION_MAP = {
+            hanok: { name: '한옥', en: 'Hanok', field: 'hanok', cat3: ['B02011600'] },
+            goodstay: { name: '굿스테이', en: 'Goodstay', field: 'goodstay', cat3: [] },
+            benikia: { name: '베니키아', en: 'Benikea', field: 'benikia', cat3: [] }
+        };
+
+        // 반려동물 동반 정보(detailPetTour2) 자유 텍스트 → 정규화 키워드
+        this.PET_SIZE_KEYWORDS = {
+            small: ['소형'],
+            medium: ['중형'],
+            large: ['대형']
+        };
+
+        this.PET_ALL_SIZE_PATTERN = /전\s*견종|모든\s*견종|크기\s*무관|견종\s*무관|제한\s*없음/;
+
+        this.PET_REQUIRED_ITEM_KEYWORDS = {
+            leash: ['목줄', '리드줄', '하네스'],
+            wasteBag: ['배변봉투', '배변 봉투', '배변처리'],
+            muzzle: ['입마개'],
+            carrier: ['이동장', '케이지', '켄넬', '펫유모차', '유모차'],
+            diaper: ['기저귀', '매너벨트', '매너 벨트'],
+            vaccination: ['예방접종', '접종 증명', '접종증명', '광견병'],
+            registration: ['동물등록', '등록증']
+        };
+
         this.AREA_CODE_MAP = {
             '1': { name: '서울', emoji: '🏙️', en: 'Seoul' },
             '2': { name: '인천', emoji: '✈️', en: 'Incheon' },
@@ -270,6 +484,12 @@ class ConstantsManager {
 
         // ✅ 올바른 API 엔드포인트
         this.API_BASE_URL = 'https://apis.data.go.kr/B551011/KorService2';
+
+        // 코드표 영문 라벨은 영문 서비스(EngService2)의 같은 오퍼레이션에서 가져온다
+        this.API_SERVICE_URLS = {
+            ko: this.API_BASE_URL,
+            en: 'https://apis.data.go.kr/B551011/EngService2'
+        };
         
         this.API_ENDPOINTS = {
             areaCode: 'areaCode2',
@@ -318,7 +538,17 @@ class ConstantsManager {
             logLevel: 'info',
             defaultLanguage: 'ko',
             memoryCheckInterval: 30000,
-            memoryThreshold: 0.9
+            memoryThreshold: 0.9,
+            // 미러는 콜드 스타트 사이에도 이어져야 하므로 기본값 없이 TOURISM_MIRROR_PATH(영구 볼륨)로만 지정한다
+            mirrorPath: null,
+            // sync의 run/reset은 X-API-Key가 이 값과 같을 때만 허용한다 (없으면 run/reset 비활성)
+            syncAdminKey: null,
+            syncMaxPages: 5,
+            // includeIntro=Y면 숙소마다 detailIntro를 한 번씩 부르므로 한 페이지 크기를 이 값으로 제한한다
+            stayIntroMaxRows: 20,
+            // petFriendly=Y면 항목마다 detailPetTour를 한 번씩 부르므로 한 페이지 크기를 이 값으로 제한한다
+            petFilterMaxRows: 50,
+            codeCacheTtl: 7 * 24 * 60 * 60 * 1000
         };
     }
 
@@ -345,8 +575,28 @@ class ConstantsManager {
         return lang === 'en' ? area.en : area.name;
     }
 
-    getApiUrl(endpoint) {
-        return `${this.API_BASE_URL}/${this.API_ENDPOINTS[endpoint]}`;
+    getApiUrl(endpoint, service = 'ko') {
+        const baseUrl = this.API_SERVICE_URLS[service] || this.API_BASE_URL;
+        return `${baseUrl}/${this.API_ENDPOINTS[endpoint]}`;
+    }
+
+    getIntroSchema(contentTypeId) {
+        return this.INTRO_SCHEMAS[contentTypeId] || null;
+    }
+
+    getStayCertification(key) {
+        return this.STAY_CERTIFICATION_MAP[key] || null;
+    }
+
+    getCopyrightInfo(code, lang = 'ko') {
+        const copyright = this.COPYRIGHT_TYPE_MAP[code];
+        if (!copyright) return null;
+        return {
+            code,
+            label: lang === 'en' ? copyright.en : copyright.name,
+            commercialUse: copyright.commercialUse,
+            modification: copyright.modification
+        };
     }
 }
 
@@ -404,7 +654,13 @@ class ConfigManager {
             logLevel: process.env.LOG_LEVEL || defaultConfig.logLevel,
             defaultLanguage: process.env.DEFAULT_LANGUAGE || defaultConfig.defaultLanguage,
             memoryCheckInterval: this.parseIntWithDefault(process.env.MEMORY_CHECK_INTERVAL, defaultConfig.memoryCheckInterval),
-            memoryThreshold: this.parseFloatWithDefault(process.env.MEMORY_THRESHOLD, defaultConfig.memoryThreshold)
+            memoryThreshold: this.parseFloatWithDefault(process.env.MEMORY_THRESHOLD, defaultConfig.memoryThreshold),
+            mirrorPath: process.env.TOURISM_MIRROR_PATH || defaultConfig.mirrorPath,
+            syncAdminKey: process.env.SYNC_ADMIN_KEY || defaultConfig.syncAdminKey,
+            syncMaxPages: this.parseIntWithDefault(process.env.SYNC_MAX_PAGES, defaultConfig.syncMaxPages),
+            stayIntroMaxRows: this.parseIntWithDefault(process.env.STAY_INTRO_MAX_ROWS, defaultConfig.stayIntroMaxRows),
+            petFilterMaxRows: this.parseIntWithDefault(process.env.PET_FILTER_MAX_ROWS, defaultConfig.petFilterMaxRows),
+            codeCacheTtl: this.parseIntWithDefault(process.env.CODE_CACHE_TTL, defaultConfig.codeCacheTtl)
         };
     }
 
@@ -738,7 +994,7 @@ class AdvancedCache {
 
         const now = Date.now();
         
-        if (now - item.timestamp > this.ttl) {
+        if (now - item.timestamp > (item.ttl || this.ttl)) {
             this.delete(key);
             this.stats.missCount++;
             this.logger.debug('Cache expired', { key, age: now - item.timestamp });
@@ -752,7 +1008,8 @@ class AdvancedCache {
         return item.data;
     }
 
-    set(key, data) {
+    // ttl을 생략하면 전역 cacheTtl을 따른다. 코드표처럼 거의 바뀌지 않는 데이터는 더 길게 준다
+    set(key, data, ttl = null) {
         const now = Date.now();
         const size = this.estimateSize(data);
         
@@ -772,7 +1029,8 @@ class AdvancedCache {
         this.cache.set(key, {
             data,
             timestamp: now,
-            size
+            size,
+            ttl
         });
         
         this.accessTimes.set(key, now);
@@ -889,7 +1147,7 @@ class AdvancedCache {
             let freedMemory = 0;
 
             for (const [key, item] of this.cache.entries()) {
-                if (now - item.timestamp > this.ttl) {
+                if (now - item.timestamp > (item.ttl || this.ttl)) {
                     freedMemory += item.size;
                     this.delete(key);
                     cleanedCount++;
@@ -980,6 +1238,166 @@ class RateLimiter {
     }
 }
 
+// ===== 콘텐츠 미러 저장소 =====
+// areaBasedSyncList로 받은 원본 항목을 contentId 기준으로 보관한다.
+// 스냅샷(mirrorPath)과 저널(mirrorPath.journal)로 나눠, 페이지마다 저널에 한 줄씩 덧붙이고
+// 실행이 끝날 때만 스냅샷으로 합친다. 읽을 때는 스냅샷 위에 저널을 다시 적용한다
+class ContentMirror {
+    constructor(container) {
+        this.container = container;
+        this.configManager = container.get('config');
+        this.logger = container.get('logger');
+        this.filePath = this.configManager.get('mirrorPath');
+        this.journalPath = this.filePath ? `${this.filePath}.journal` : null;
+        this.state = null;
+        this.lock = new Semaphore(1);
+    }
+
+    static createEmptyState() {
+        return {
+            version: 1,
+            items: {},
+            removed: {},
+            cursor: null,
+            lastSyncAt: null,
+            lastRun: null
+        };
+    }
+
+    isConfigured() {
+        return !!this.filePath;
+    }
+
+    ioError(error) {
+        return new TourismApiError('MIRROR_IO_ERROR', 'sync', 500,
+            { path: this.filePath, reason: error.message }, {}, this.container.get('i18n'));
+    }
+
+    async load() {
+        if (this.state) return this.state;
+
+        if (!this.isConfigured()) {
+            throw new TourismApiError('MIRROR_NOT_CONFIGURED', 'sync', 503, {}, {}, this.container.get('i18n'));
+        }
+
+        const state = ContentMirror.createEmptyState();
+        try {
+            Object.assign(state, JSON.parse(await fs.promises.readFile(this.filePath, 'utf8')));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw this.ioError(error);
+        }
+
+        let journal = '';
+        try {
+            journal = await fs.promises.readFile(this.journalPath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw this.ioError(error);
+        }
+
+        this.state = state;
+        // 쓰는 도중 끊긴 마지막 줄은 버린다. 그 페이지는 커서가 저장되지 않았으므로 다음 실행이 다시 받는다
+        journal.split('\n').filter(Boolean).forEach(line => {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                this.logger.warn('Skipping corrupt mirror journal line', { path: this.journalPath });
+                return;
+            }
+            this.applyPage(entry);
+        });
+
+        return this.state;
+    }
+
+    applyPage({ items = [], cursor, at }) {
+        const counts = { added: 0, updated: 0, removed: 0, skipped: 0 };
+        items.forEach(item => {
+            counts[this.applyItem(item, at)]++;
+        });
+        if (cursor) this.state.cursor = cursor;
+        this.state.lastSyncAt = at;
+        return counts;
+    }
+
+    // 한 페이지를 메모리에 반영하고 저널에 덧붙인다. 미러 전체를 다시 쓰지 않는다
+    async appendPage(items, cursor) {
+        const entry = { items, cursor, at: new Date().toISOString() };
+        try {
+            await fs.promises.mkdir(path.dirname(this.journalPath), { recursive: true });
+            await fs.promises.appendFile(this.journalPath, `${JSON.stringify(entry)}\n`, 'utf8');
+        } catch (error) {
+            throw this.ioError(error);
+        }
+        return this.applyPage(entry);
+    }
+
+    // 스냅샷을 임시 파일에 쓴 뒤 rename하고 나서 저널을 비운다.
+    // rename 후 저널을 비우기 전에 끊겨도 같은 항목을 다시 적용할 뿐이라 결과는 같다
+    async compact() {
+        if (!this.state) return;
+
+        const tmpPath = `${this.filePath}.tmp`;
+        try {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, JSON.stringify(this.state));
+            await fs.promises.rename(tmpPath, this.filePath);
+            await fs.promises.rm(this.journalPath, { force: true });
+        } catch (error) {
+            throw this.ioError(error);
+        }
+    }
+
+    async reset() {
+        this.state = ContentMirror.createEmptyState();
+        await this.compact();
+        this.logger.info('Content mirror reset', { path: this.filePath });
+    }
+
+    // showflag가 0이면 비공개 전환된 콘텐츠이므로 미러에서 빼고 삭제 이력을 남긴다
+    applyItem(item, at = new Date().toISOString()) {
+        const contentId = String(item.contentid);
+
+        if (String(item.showflag) === '0') {
+            const existed = contentId in this.state.items;
+            delete this.state.items[contentId];
+            this.state.removed[contentId] = {
+                contentId,
+                title: item.title || null,
+                modifiedtime: item.modifiedtime || null,
+                removedAt: at
+            };
+            return existed ? 'removed' : 'skipped';
+        }
+
+        const existed = contentId in this.state.items;
+        this.state.items[contentId] = item;
+        delete this.state.removed[contentId];
+        return existed ? 'updated' : 'added';
+    }
+
+    query({ areaCode, sigunguCode, contentTypeId, cat3 } = {}) {
+        return Object.values(this.state.items)
+            .filter(item => !areaCode || String(item.areacode) === String(areaCode))
+            .filter(item => !sigunguCode || String(item.sigungucode) === String(sigunguCode))
+            .filter(item => !contentTypeId || String(item.contenttypeid) === String(contentTypeId))
+            .filter(item => !cat3 || item.cat3 === cat3)
+            .sort((a, b) => String(b.modifiedtime || '').localeCompare(String(a.modifiedtime || '')));
+    }
+
+    getStatus() {
+        const state = this.state || ContentMirror.createEmptyState();
+        return {
+            path: this.filePath,
+            itemCount: Object.keys(state.items).length,
+            removedCount: Object.keys(state.removed).length,
+            cursor: state.cursor,
+            lastSyncAt: state.lastSyncAt,
+            lastRun: state.lastRun
+        };
+    }
+}
+
 // ===== 커스텀 에러 클래스 =====
 class TourismApiError extends Error {
     constructor(messageCode, operation, statusCode = 500, details = {}, params = {}, i18nInstance = null) {
@@ -1058,14 +1476,16 @@ class InputValidator {
             modifiedtime: { type: 'string', pattern: /^\d{8}$/ },
             userLat: { type: 'string', pattern: /^-?\d+\.?\d*$/ },
             userLng: { type: 'string', pattern: /^-?\d+\.?\d*$/ },
-            radius: { type: 'string', pattern: /^\d+\.?\d*$/ }
+            radius: { type: 'string', pattern: /^\d+\.?\d*$/ },
+            petFriendly: { type: 'string', enum: ['Y', 'N'] }
         });
 
         this.schemas.set('locationBasedList', {
             ...commonSchema,
             mapX: { type: 'string', required: true, pattern: /^\d+\.?\d*$/ },
             mapY: { type: 'string', required: true, pattern: /^\d+\.?\d*$/ },
-            radius: { type: 'string', required: true, pattern: /^\d+$/, min: 1, max: 20000 }
+            radius: { type: 'string', required: true, pattern: /^\d+$/, min: 1, max: 20000 },
+            petFriendly: { type: 'string', enum: ['Y', 'N'] }
         });
 
         this.schemas.set('searchKeyword', {
@@ -1073,6 +1493,87 @@ class InputValidator {
             keyword: { type: 'string', required: true, minLength: 1, maxLength: 100 }
         });
 
+        this.schemas.set('searchFestival', {
+            ...commonSchema,
+            eventStartDate: { type: 'string', pattern: /^\d{8}$/ },
+            eventEndDate: { type: 'string', pattern: /^\d{8}$/ },
+            areaCode: { type: 'string', pattern: /^\d{1,2}$/ },
+            sigunguCode: { type: 'string', pattern: /^\d{1,5}$/ },
+            lDongRegnCd: { type: 'string', pattern: /^\d{1,5}$/ },
+            lDongSignguCd: { type: 'string', pattern: /^\d{1,5}$/ }
+        });
+
+        this.schemas.set('searchStay', {
+            ...commonSchema,
+            areaCode: { type: 'string', pattern: /^\d{1,2}$/ },
+            sigunguCode: { type: 'string', pattern: /^\d{1,5}$/ },
+            lDongRegnCd: { type: 'string', pattern: /^\d{1,5}$/ },
+            lDongSignguCd: { type: 'string', pattern: /^\d{1,5}$/ },
+            modifiedtime: { type: 'string', pattern: /^\d{8}$/ },
+            hanok: { type: 'string', enum: ['Y', 'N'] },
+            goodstay: { type: 'string', enum: ['Y', 'N'] },
+            benikia: { type: 'string', enum: ['Y', 'N'] },
+            includeIntro: { type: 'string', enum: ['Y', 'N'] }
+        });
+
+        this.schemas.set('areaBasedSyncList', {
+            ...commonSchema,
+            contentTypeId: { type: 'string', enum: ['12', '14', '15', '25', '28', '32', '38', '39'] },
+            areaCode: { type: 'string', pattern: /^\d{1,2}$/ },
+            sigunguCode: { type: 'string', pattern: /^\d{1,5}$/ },
+            modifiedtime: { type: 'string', pattern: /^\d{6}(\d{2})?$/ },
+            showflag: { type: 'string', enum: ['0', '1'] }
+        });
+
+        this.schemas.set('sync', {
+            action: { type: 'string', enum: ['run', 'status', 'list', 'reset'] },
+            cursor: { type: 'string', pattern: /^[A-Za-z0-9_-]+$/, maxLength: 500 },
+            maxPages: { type: 'string', pattern: /^\d+$/, min: 1, max: 50 },
+            numOfRows: { type: 'string', pattern: /^\d+$/, min: 1, max: 1000 },
+            pageNo: { type: 'string', pattern: /^\d+$/, min: 1, max: 1000 },
+            contentTypeId: { type: 'string', enum: ['12', '14', '15', '25', '28', '32', '38', '39'] },
+            areaCode: { type: 'string', pattern: /^\d{1,2}$/ },
+            sigunguCode: { type: 'string', pattern: /^\d{1,5}$/ },
+            cat3: { type: 'string', pattern: /^[A-Z]\d{6}$/ }
+        });
+
+        this.schemas.set('areaCode', {
+            ...commonSchema,
+            areaCode: { type: 'string', pattern: /^\d{1,2}$/ }
+        });
+
+        this.schemas.set('categoryCode', {
+            ...commonSchema,
+            contentTypeId: { type: 'string', enum: ['12', '14', '15', '25', '28', '32', '38', '39'] },
+            cat1: { type: 'string', pattern: /^[A-Z]\d{2}$/ },
+            cat2: { type: 'string', pattern: /^[A-Z]\d{4}$/ },
+            cat3: { type: 'string', pattern: /^[A-Z]\d{6}$/ }
+        });
+
+        this.schemas.set('ldongCode', {
+            ...commonSchema,
+            lDongRegnCd: { type: 'string', pattern: /^\d{1,5}$/ },
+            lDongListYn: { type: 'string', enum: ['Y', 'N'] }
+        });
+
+        this.schemas.set('lclsSystmCode', {
+            ...commonSchema,
+            lclsSystm1: { type: 'string', pattern: /^[A-Z]{2}$/ },
+            lclsSystm2: { type: 'string', pattern: /^[A-Z]{2}\d{2}$/ },
+            lclsSystm3: { type: 'string', pattern: /^[A-Z]{2}\d{6}$/ },
+            lclsSystmListYn: { type: 'string', enum: ['Y', 'N'] }
+        });
+
+        this.schemas.set('codes', {
+            type: { type: 'string', enum: ['all', 'area', 'category', 'ldong', 'lclsSystm'] },
+            // area: 시도 코드, category: 대분류(A01)·중분류(A0101) 코드
+            parent: { type: 'string', pattern: /^(\d{1,2}|[A-Z]\d{2}(\d{2})?)$/ }
+        });
+
+        this.schemas.set('detailPetTour', {
+            contentId: { type: 'string', required: true, pattern: /^\d+$/ }
+        });
+
         this.schemas.set('detailCommon', {
             contentId: { type: 'string', required: true, pattern: /^\d+$/ }
         });
@@ -1082,6 +1583,16 @@ class InputValidator {
             contentTypeId: { type: 'string', required: true, enum: ['12', '14', '15', '25', '28', '32', '38', '39'] }
         });
 
+        this.schemas.set('detailInfo', {
+            contentId: { type: 'string', required: true, pattern: /^\d+$/ },
+            contentTypeId: { type: 'string', required: true, enum: ['12', '14', '15', '25', '28', '32', '38', '39'] }
+        });
+
+        this.schemas.set('detailImage', {
+            contentId: { type: 'string', required: true, pattern: /^\d+$/ },
+            imageYN: { type: 'string', enum: ['Y', 'N'] }
+        });
+
         this.schemas.set('batchDetail', {
             contentIds: { type: 'object', required: true, isArray: true }
         });
@@ -1280,7 +1791,7 @@ class HttpClient {
     }
 
     // ✅ 올바른 한국관광공사 API 호출 메소드
-    async getTourismData(endpoint, params = {}) {
+    async getTourismData(endpoint, params = {}, { service = 'ko' } = {}) {
         const apiKey = this.configManager.get('apiKey');
         
         if (!apiKey) {
@@ -1288,7 +1799,7 @@ class HttpClient {
             throw new TourismApiError('MISSING_API_KEY', endpoint, 500, {}, {}, i18n);
         }
 
-        const url = this.constants.getApiUrl(endpoint);
+        const url = this.constants.getApiUrl(endpoint, service);
         
         // ✅ 필수 파라미터 설정
         const queryParams = new URLSearchParams({
@@ -1430,6 +1941,23 @@ class SecurityManager {
         res.setHeader('Access-Control-Max-Age', '3600');
     }
 
+    // sync run/reset 전용. 일반 API 키(ALLOWED_API_KEYS)와 별개로 SYNC_ADMIN_KEY와 일치해야 한다
+    validateSyncAdmin(req) {
+        const adminKey = this.configManager.get('syncAdminKey');
+        const i18n = this.container.get('i18n');
+
+        if (!adminKey) {
+            throw new TourismApiError('SYNC_ADMIN_NOT_CONFIGURED', 'security', 403, {}, {}, i18n);
+        }
+
+        const provided = Buffer.from(String(req.headers['x-api-key'] || ''));
+        const expected = Buffer.from(String(adminKey));
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            this.logger.warn('Sync admin key rejected', { operation: 'sync' });
+            throw new TourismApiError('SYNC_ADMIN_REQUIRED', 'security', 401, {}, {}, i18n);
+        }
+    }
+
     validateApiKey(req) {
         if (this.allowedApiKeys.length === 0) return;
 
@@ -1556,6 +2084,281 @@ class ApiResponseProcessor {
         };
     }
 
+    static processIntroItem(item, contentTypeId, container) {
+        const constants = container.get('constants');
+        const i18n = container.get('i18n');
+        const schema = constants.getIntroSchema(contentTypeId) || {};
+        const contentType = constants.get('CONTENT_TYPE_MAP', contentTypeId);
+
+        const intro = {};
+        for (const [key, { field, type }] of Object.entries(schema)) {
+            intro[key] = this.convertIntroValue(item[field], type);
+        }
+
+        const filledCount = Object.values(intro).filter(value => value !== null).length;
+
+        return {
+            contentId: item.contentid,
+            contentTypeId,
+            intro,
+            meta: {
+                typeName: constants.getContentTypeName(contentTypeId, i18n.currentLanguage),
+                typeIcon: contentType?.icon || '📍',
+                fieldCount: Object.keys(schema).length,
+                filledCount
+            }
+        };
+    }
+
+    static processImageItem(item, container) {
+        const constants = container.get('constants');
+        const i18n = container.get('i18n');
+
+        return {
+            contentId: item.contentid,
+            serialNum: item.serialnum || null,
+            imageName: this.sanitizeHtml(item.imgname) || null,
+            originUrl: this.toHttps(item.originimgurl),
+            smallUrl: this.toHttps(item.smallimageurl),
+            copyright: constants.getCopyrightInfo(item.cpyrhtDivCd, i18n.currentLanguage) ||
+                (item.cpyrhtDivCd ? { code: item.cpyrhtDivCd, label: null, commercialUse: null, modification: null } : null)
+        };
+    }
+
+    static processInfoItem(item) {
+        return {
+            serialNum: item.serialnum || null,
+            fldGubun: item.fldgubun || null,
+            infoName: this.sanitizeHtml(item.infoname),
+            infoText: this.sanitizeMultiline(item.infotext)
+        };
+    }
+
+    static processCourseItem(item) {
+        return {
+            subNum: item.subnum !== undefined && item.subnum !== '' ? parseInt(item.subnum) : null,
+            subContentId: item.subcontentid || null,
+            subName: this.sanitizeHtml(item.subname),
+            overview: this.sanitizeMultiline(item.subdetailoverview),
+            image: this.toHttps(item.subdetailimg),
+            imageAlt: this.sanitizeHtml(item.subdetailalt)
+        };
+    }
+
+    static processRoomItem(item, container) {
+        const constants = container.get('constants');
+        const amenityFields = constants.get('ROOM_AMENITY_FIELDS');
+        const toNumber = (value) => {
+            const num = parseInt(String(value ?? '').replace(/[^\d]/g, ''));
+            return isNaN(num) ? null : num;
+        };
+
+        const amenities = {};
+        for (const [key, field] of Object.entries(amenityFields)) {
+            amenities[key] = item[field] ? this.parseFlag(item[field]) : null;
+        }
+
+        const images = [1, 2, 3, 4, 5]
+            .map(index => ({
+                url: this.toHttps(item[`roomimg${index}`]),
+                alt: this.sanitizeHtml(item[`roomimg${index}alt`]),
+                copyright: item[`cpyrhtDivCd${index}`] || null
+            }))
+            .filter(image => image.url);
+
+        return {
+            roomCode: item.roomcode || null,
+            roomTitle: this.sanitizeHtml(item.roomtitle),
+            roomIntro: this.sanitizeMultiline(item.roomintro),
+            size: {
+                pyeong: toNumber(item.roomsize1),
+                squareMeters: item.roomsize2 ? parseFloat(item.roomsize2) || null : null
+            },
+            roomCount: toNumber(item.roomcount),
+            baseOccupancy: toNumber(item.roombasecount),
+            maxOccupancy: toNumber(item.roommaxcount),
+            price: {
+                offSeasonWeekday: toNumber(item.roomoffseasonminfee1),
+                offSeasonWeekend: toNumber(item.roomoffseasonminfee2),
+                peakSeasonWeekday: toNumber(item.roompeakseasonminfee1),
+                peakSeasonWeekend: toNumber(item.roompeakseasonminfee2)
+            },
+            amenities,
+            images
+        };
+    }
+
+    static processPetTourItem(item, container) {
+        const constants = container.get('constants');
+        const raw = {
+            accompanyType: this.sanitizeMultiline(item.acmpyTypeCd),
+            allowedAnimals: this.sanitizeMultiline(item.acmpyPsblCpam),
+            requirements: this.sanitizeMultiline(item.acmpyNeedMtr),
+            etcInfo: this.sanitizeMultiline(item.etcAcmpyInfo),
+            accidentPrevention: this.sanitizeMultiline(item.relaAcdntRiskMtr),
+            facilities: this.sanitizeMultiline(item.relaPosesFclty),
+            providedItems: this.sanitizeMultiline(item.relaFrnshPrdlst),
+            purchasableItems: this.sanitizeMultiline(item.relaPurcPrdlst),
+            rentalItems: this.sanitizeMultiline(item.relaRntlPrdlst)
+        };
+
+        const policyText = [raw.accompanyType, raw.allowedAnimals, raw.requirements, raw.etcInfo]
+            .filter(Boolean)
+            .join('\n');
+
+        return {
+            contentId: item.contentid,
+            policy: {
+                allowed: this.parsePetAllowed(raw.accompanyType, policyText),
+                access: this.parsePetAccess(raw.accompanyType, policyText),
+                size: this.parsePetSize(policyText, constants),
+                requiredItems: this.parsePetRequiredItems([raw.requirements, raw.etcInfo].filter(Boolean).join('\n'), constants),
+                fees: this.parsePetFees(policyText)
+            },
+            raw
+        };
+    }
+
+    static parsePetAllowed(accompanyType, text) {
+        if (accompanyType && /불가/.test(accompanyType)) return false;
+        if (accompanyType && /가능/.test(accompanyType)) return true;
+        if (/동반\s*불가|출입\s*불가|입장\s*불가/.test(text)) return false;
+        return text ? true : null;
+    }
+
+    // 전구역/일부구역 동반 구분과 실내·실외 언급으로 출입 범위를 추정한다
+    static parsePetAccess(accompanyType, text) {
+        const scope = !accompanyType ? null :
+            /전\s*구역/.test(accompanyType) ? 'all' :
+            /일부\s*구역/.test(accompanyType) ? 'partial' :
+            /불가/.test(accompanyType) ? 'none' : null;
+
+        const indoorDenied = /실내\s*(동반|출입|입장)?\s*(불가|금지)/.test(text);
+        const outdoorDenied = /(실외|야외)\s*(동반|출입|입장)?\s*(불가|금지)/.test(text);
+        const mentionsIndoor = /실내/.test(text);
+        const mentionsOutdoor = /실외|야외|외부|테라스|잔디/.test(text);
+
+        return {
+            scope,
+            indoor: scope === 'none' || indoorDenied ? false : scope === 'all' || mentionsIndoor ? true : null,
+            outdoor: scope === 'none' || outdoorDenied ? false : scope === 'all' || mentionsOutdoor ? true : null
+        };
+    }
+
+    static parsePetSize(text, constants) {
+        const sizeKeywords = constants.get('PET_SIZE_KEYWORDS');
+        const sizes = constants.get('PET_ALL_SIZE_PATTERN').test(text) ?
+            Object.keys(sizeKeywords) :
+            Object.entries(sizeKeywords)
+                .filter(([, keywords]) => keywords.some(keyword => text.includes(keyword)))
+                .map(([size]) => size);
+
+        const weightMatch = text.match(/(\d+(?:\.\d+)?)\s*(?:kg|킬로)\s*(?:이하|미만|까지)/i);
+
+        return {
+            allowed: sizes.length > 0 ? sizes : null,
+            maxWeightKg: weightMatch ? parseFloat(weightMatch[1]) : null
+        };
+    }
+
+    static parsePetRequiredItems(text, constants) {
+        if (!text) return [];
+        return Object.entries(constants.get('PET_REQUIRED_ITEM_KEYWORDS'))
+            .filter(([, keywords]) => keywords.some(keyword => text.includes(keyword)))
+            .map(([key]) => key);
+    }
+
+    // "1마리당 10,000원", "1만원 추가" 같은 추가 요금 표기를 원 단위 숫자로 뽑는다
+    static parsePetFees(text) {
+        if (!text) return { hasExtraFee: null, amounts: [], description: null };
+
+        const amounts = [];
+        const pattern = /(\d[\d,]*(?:\.\d+)?)\s*(만\s*원|천\s*원|원)/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const value = parseFloat(match[1].replace(/,/g, ''));
+            const unit = match[2].replace(/\s/g, '');
+            amounts.push(unit === '만원' ? value * 10000 : unit === '천원' ? value * 1000 : value);
+        }
+
+        const feeLine = text.split('\n').find(line => /요금|비용|추가|원/.test(line) && /\d|무료/.test(line));
+        const isFree = /무료/.test(text) && amounts.length === 0;
+
+        return {
+            hasExtraFee: amounts.length > 0 ? true : isFree ? false : null,
+            amounts,
+            description: feeLine ? feeLine.trim() : null
+        };
+    }
+
+    // 인증 여부: true/false, 판단할 근거가 응답에 없으면 null
+    static processStayCertifications(item, container) {
+        const constants = container.get('constants');
+        const certifications = {};
+
+        for (const [key, certification] of Object.entries(constants.get('STAY_CERTIFICATION_MAP'))) {
+            if (item[certification.field] !== undefined && item[certification.field] !== '') {
+                certifications[key] = this.parseFlag(item[certification.field]);
+            } else if (certification.cat3.length > 0 && item.cat3) {
+                certifications[key] = certification.cat3.includes(item.cat3);
+            } else {
+                certifications[key] = null;
+            }
+        }
+
+        return certifications;
+    }
+
+    static toHttps(url) {
+        if (!url || typeof url !== 'string') return null;
+        const trimmed = url.trim();
+        if (!trimmed) return null;
+        return trimmed.replace(/^http:\/\//i, 'https://');
+    }
+
+    static convertIntroValue(value, type) {
+        if (value === undefined || value === null || String(value).trim() === '') return null;
+
+        switch (type) {
+            case 'date':
+                return this.formatEventDate(String(value));
+            case 'number': {
+                const num = parseInt(String(value).replace(/[^\d]/g, ''));
+                return isNaN(num) ? null : num;
+            }
+            case 'flag':
+                return this.parseFlag(String(value));
+            case 'text':
+            default:
+                return this.sanitizeMultiline(String(value));
+        }
+    }
+
+    // KTO 여부 필드는 '1'/'0', 'Y'/'N' 또는 '가능'/'불가' 같은 자유 텍스트로 내려온다
+    static parseFlag(value) {
+        const text = this.sanitizeHtml(value);
+        if (!text) return null;
+        if (/^(0|N)$/i.test(text) || /불가|없음|안\s*됨|금지/.test(text)) return false;
+        if (/^(1|Y)$/i.test(text) || /가능|있음|허용/.test(text)) return true;
+        return null;
+    }
+
+    static sanitizeMultiline(text) {
+        if (!text) return null;
+        const normalized = text
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<[^>]*>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+        return normalized || null;
+    }
+
+    static formatEventDate(dateString) {
+        if (!dateString || !/^\d{8}$/.test(dateString)) return null;
+        return `${dateString.substring(0, 4)}-${dateString.substring(4, 6)}-${dateString.substring(6, 8)}`;
+    }
+
     static sanitizeHtml(text) {
         if (!text) return null;
         return text.replace(/<[^>]*>/g, '').trim();
@@ -1647,17 +2450,120 @@ class GeoUtils {
     }
 }
 
-// ===== 테스트 러너 =====
-class TestRunner {
-    constructor(container) {
-        this.container = container;
-        this.tests = [];
-        this.results = { passed: 0, failed: 0, errors: [] };
-    }
+// ===== 행사 일정 유틸리티 =====
+class EventDateUtils {
+    static KST_OFFSET = 9 * 60 * 60 * 1000;
+    static DAY_MS = 24 * 60 * 60 * 1000;
 
-    addTest(name, testFn) {
-        this.tests.push({ name, testFn });
-        return this;
+    static getKstToday(now = Date.now()) {
+        return new Date(now + this.KST_OFFSET).toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
+    static toUtcDay(dateString) {
+        if (!dateString || !/^\d{8}$/.test(dateString)) return null;
+        return Date.UTC(
+            parseInt(dateString.substring(0, 4)),
+            parseInt(dateString.substring(4, 6)) - 1,
+            parseInt(dateString.substring(6, 8))
+        );
+    }
+
+    static daysBetween(fromDate, toDate) {
+        const from = this.toUtcDay(fromDate);
+        const to = this.toUtcDay(toDate);
+        if (from === null || to === null) return null;
+        return Math.round((to - from) / this.DAY_MS);
+    }
+
+    static getEventStatus(startDate, endDate, today = this.getKstToday()) {
+        const start = startDate || endDate;
+        const end = endDate || startDate;
+        if (!start) return 'unknown';
+        if (today < start) return 'upcoming';
+        if (today > end) return 'ended';
+        return 'ongoing';
+    }
+
+    static describeSchedule(startDate, endDate, today = this.getKstToday()) {
+        const status = this.getEventStatus(startDate, endDate, today);
+        return {
+            status,
+            daysUntilStart: startDate ? this.daysBetween(today, startDate) : null,
+            daysUntilEnd: endDate ? this.daysBetween(today, endDate) : null,
+            durationDays: startDate && endDate ? this.daysBetween(startDate, endDate) + 1 : null
+        };
+    }
+}
+
+// ===== 동기화 커서 =====
+// 커서는 클라이언트에 base64url 토큰으로 넘겨 이어받기(resume)에 쓴다
+class SyncCursor {
+    static initial(today, numOfRows = 100) {
+        return {
+            phase: 'full',
+            pageNo: 1,
+            numOfRows,
+            date: null,
+            startedOn: today,
+            caughtUp: false
+        };
+    }
+
+    static advance(cursor, { itemCount, totalCount, today }) {
+        const exhausted = itemCount < cursor.numOfRows || cursor.pageNo * cursor.numOfRows >= totalCount;
+
+        if (!exhausted) {
+            return { ...cursor, pageNo: cursor.pageNo + 1, caughtUp: false };
+        }
+
+        // 전체 순회 중에 바뀐 항목을 놓치지 않도록 순회를 시작한 날부터 증분을 다시 본다
+        if (cursor.phase === 'full') {
+            return { ...cursor, phase: 'incremental', pageNo: 1, date: cursor.startedOn, caughtUp: false };
+        }
+
+        if (cursor.date < today) {
+            const next = new Date(EventDateUtils.toUtcDay(cursor.date) + EventDateUtils.DAY_MS);
+            return {
+                ...cursor,
+                pageNo: 1,
+                date: next.toISOString().slice(0, 10).replace(/-/g, ''),
+                caughtUp: false
+            };
+        }
+
+        return { ...cursor, pageNo: 1, date: today, caughtUp: true };
+    }
+
+    // 'base64url' 인코딩은 Node 15.7+에서만 지원되므로 (engines: >=14) base64를 URL-safe 문자로 바꿔 쓴다
+    static encode(cursor) {
+        return Buffer.from(JSON.stringify(cursor)).toString('base64')
+            .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static decode(token) {
+        const base64 = token.replace(/-/g, '+').replace(/_/g, '/');
+        const cursor = JSON.parse(Buffer.from(base64, 'base64').toString('utf8'));
+        if (!['full', 'incremental'].includes(cursor.phase) ||
+            !Number.isInteger(cursor.pageNo) || cursor.pageNo < 1 ||
+            !Number.isInteger(cursor.numOfRows) || cursor.numOfRows < 1 ||
+            (cursor.phase === 'incremental' && !/^\d{8}$/.test(cursor.date))) {
+            throw new Error('Malformed cursor payload');
+        }
+        return cursor;
+    }
+}
+
+// ===== 테스트 러너 =====
+class TestRunner {
+    constructor(container) {
+        this.container = container;
+        this.tests = [];
+        this.results = { passed: 0, failed: 0, errors: [] };
+    }
+
+    addTest(name, testFn) {
+        this.tests.push({ name, testFn });
+        return this;
     }
 
     async runAll() {
@@ -1710,22 +2616,24 @@ class AllTourismApiHandlers {
         const cache = container.get('cache');
         const httpClient = container.get('httpClient');
         const logger = container.get('logger');
+        const configManager = container.get('config');
         
         validator.validate('areaBasedList', params);
         
         const {
-            numOfRows = '10', pageNo = '1', arrange = 'C',
+            numOfRows: requestedRows = '10', pageNo = '1', arrange = 'C',
             contentTypeId = '', areaCode = '', sigunguCode = '',
             cat1 = '', cat2 = '', cat3 = '', modifiedtime = '',
             lDongRegnCd = '', lDongSignguCd = '',
             lclsSystm1 = '', lclsSystm2 = '', lclsSystm3 = '',
-            userLat = '', userLng = '', radius = ''
+            userLat = '', userLng = '', radius = '', petFriendly = ''
         } = params;
+        const { numOfRows, petRowLimit } = this.limitPetFilterRows(configManager, requestedRows, petFriendly);
 
         const cacheableParams = {
             numOfRows, pageNo, arrange, contentTypeId, areaCode, sigunguCode,
             cat1, cat2, cat3, modifiedtime, lDongRegnCd, lDongSignguCd,
-            lclsSystm1, lclsSystm2, lclsSystm3
+            lclsSystm1, lclsSystm2, lclsSystm3, petFriendly
         };
         
         const cacheKey = cache.generateKey('areaBasedList', cacheableParams);
@@ -1762,6 +2670,13 @@ class AllTourismApiHandlers {
             processedItems = GeoUtils.addDistanceInfo(processedItems, userLat, userLng, radius);
         }
 
+        let petFilter = null;
+        if (petFriendly === 'Y') {
+            const { items: petItems, ...summary } = await this.filterPetFriendly(container, processedItems);
+            processedItems = petItems;
+            petFilter = { ...summary, ...petRowLimit };
+        }
+
         const totalCount = data.response?.body?.totalCount || processedItems.length;
         const apiTime = Date.now() - startTime;
 
@@ -1773,7 +2688,13 @@ class AllTourismApiHandlers {
                 numOfRows: parseInt(numOfRows),
                 totalPages: Math.ceil(totalCount / parseInt(numOfRows)),
                 hasNext: (parseInt(pageNo) * parseInt(numOfRows)) < totalCount,
-                hasPrev: parseInt(pageNo) > 1
+                hasPrev: parseInt(pageNo) > 1,
+                ...(petFilter && this.describePostFilter({
+                    applied: true,
+                    fetched: petFilter.checked,
+                    matched: petFilter.matched,
+                    label: '반려동물 동반'
+                }))
             },
             searchInfo: {
                 params: optionalParams,
@@ -1782,7 +2703,8 @@ class AllTourismApiHandlers {
                     lat: parseFloat(userLat),
                     lng: parseFloat(userLng),
                     radius: radius ? parseFloat(radius) : null
-                } : null
+                } : null,
+                petFilter
             }
         }, {
             operation: 'areaBasedList',
@@ -1798,60 +2720,1089 @@ class AllTourismApiHandlers {
             logger.metric('cache_set', 1, { operation: 'areaBasedList' });
         }
 
-        logger.metric('api_request_success', 1, { 
-            operation: 'areaBasedList',
-            itemCount: processedItems.length,
-            fromCache: false
+        logger.metric('api_request_success', 1, { 
+            operation: 'areaBasedList',
+            itemCount: processedItems.length,
+            fromCache: false
+        });
+
+        return result;
+    }
+
+    static async handleSearchFestival(container, params) {
+        const startTime = Date.now();
+        const validator = container.get('validator');
+        const cache = container.get('cache');
+        const httpClient = container.get('httpClient');
+        const logger = container.get('logger');
+
+        validator.validate('searchFestival', params);
+
+        const today = EventDateUtils.getKstToday();
+        const {
+            numOfRows = '10', pageNo = '1', arrange = 'C',
+            eventStartDate = today, eventEndDate = '',
+            areaCode = '', sigunguCode = '',
+            lDongRegnCd = '', lDongSignguCd = '',
+            lclsSystm1 = '', lclsSystm2 = '', lclsSystm3 = ''
+        } = params;
+
+        const cacheableParams = {
+            numOfRows, pageNo, arrange, eventStartDate, eventEndDate,
+            areaCode, sigunguCode, lDongRegnCd, lDongSignguCd,
+            lclsSystm1, lclsSystm2, lclsSystm3, today
+        };
+
+        const cacheKey = cache.generateKey('searchFestival', cacheableParams);
+        const cachedData = cache.get(cacheKey);
+        if (cachedData) {
+            logger.metric('cache_hit', 1, { operation: 'searchFestival' });
+            return ResponseFormatter.addCacheInfo(cachedData, true, cache.getStats());
+        }
+
+        const apiParams = {
+            numOfRows,
+            pageNo,
+            arrange,
+            eventStartDate
+        };
+
+        const optionalParams = {
+            eventEndDate, areaCode, sigunguCode, lDongRegnCd, lDongSignguCd,
+            lclsSystm1, lclsSystm2, lclsSystm3
+        };
+
+        Object.entries(optionalParams).forEach(([key, value]) => {
+            if (value) apiParams[key] = value;
+        });
+
+        const data = await httpClient.getTourismData('searchFestival', apiParams);
+
+        const items = ApiResponseProcessor.extractItems(data);
+        const processedItems = items.map(item => {
+            const schedule = EventDateUtils.describeSchedule(item.eventstartdate, item.eventenddate, today);
+            return {
+                ...ApiResponseProcessor.processBasicItem(item, container),
+                eventStartDate: ApiResponseProcessor.formatEventDate(item.eventstartdate),
+                eventEndDate: ApiResponseProcessor.formatEventDate(item.eventenddate),
+                ...schedule
+            };
+        });
+
+        const totalCount = data.response?.body?.totalCount || processedItems.length;
+        const apiTime = Date.now() - startTime;
+
+        const result = ResponseFormatter.formatSuccess('searchFestival', {
+            items: processedItems,
+            pagination: {
+                totalCount,
+                pageNo: parseInt(pageNo),
+                numOfRows: parseInt(numOfRows),
+                totalPages: Math.ceil(totalCount / parseInt(numOfRows)),
+                hasNext: (parseInt(pageNo) * parseInt(numOfRows)) < totalCount,
+                hasPrev: parseInt(pageNo) > 1
+            },
+            statusSummary: {
+                ongoing: processedItems.filter(item => item.status === 'ongoing').length,
+                upcoming: processedItems.filter(item => item.status === 'upcoming').length,
+                ended: processedItems.filter(item => item.status === 'ended').length
+            },
+            searchInfo: {
+                params: { eventStartDate, ...optionalParams },
+                referenceDate: ApiResponseProcessor.formatEventDate(today)
+            }
+        }, {
+            operation: 'searchFestival',
+            itemCount: processedItems.length,
+            searchCriteria: Object.keys(optionalParams).filter(key => optionalParams[key]).length + 1
+        }, {
+            apiResponseTime: apiTime,
+            totalProcessingTime: Date.now() - startTime
+        });
+
+        cache.set(cacheKey, result);
+        logger.metric('cache_set', 1, { operation: 'searchFestival' });
+        logger.metric('api_request_success', 1, {
+            operation: 'searchFestival',
+            itemCount: processedItems.length,
+            fromCache: false
+        });
+
+        return result;
+    }
+
+    static async handleSearchStay(container, params) {
+        const startTime = Date.now();
+        const validator = container.get('validator');
+        const cache = container.get('cache');
+        const httpClient = container.get('httpClient');
+        const logger = container.get('logger');
+        const constants = container.get('constants');
+        const configManager = container.get('config');
+
+        validator.validate('searchStay', params);
+
+        const {
+            pageNo = '1', arrange = 'C',
+            areaCode = '', sigunguCode = '', modifiedtime = '',
+            lDongRegnCd = '', lDongSignguCd = '',
+            lclsSystm1 = '', lclsSystm2 = '', lclsSystm3 = '',
+            hanok = '', goodstay = '', benikia = '',
+            includeIntro = 'Y'
+        } = params;
+
+        // 입퇴실 정보(detailIntro)는 숙소마다 따로 불러오므로 함께 받을 때는 페이지 크기를 줄인다
+        const requestedRows = parseInt(params.numOfRows || '10');
+        const introRowLimit = configManager.get('stayIntroMaxRows');
+        const numOfRows = String(includeIntro === 'Y' ? Math.min(requestedRows, introRowLimit) : requestedRows);
+
+        const certificationFilters = { hanok, goodstay, benikia };
+
+        const cacheableParams = {
+            numOfRows, pageNo, arrange, areaCode, sigunguCode, modifiedtime,
+            lDongRegnCd, lDongSignguCd, lclsSystm1, lclsSystm2, lclsSystm3,
+            ...certificationFilters, includeIntro
+        };
+
+        const cacheKey = cache.generateKey('searchStay', cacheableParams);
+        const cachedData = cache.get(cacheKey);
+        if (cachedData) {
+            logger.metric('cache_hit', 1, { operation: 'searchStay' });
+            return ResponseFormatter.addCacheInfo(cachedData, true, cache.getStats());
+        }
+
+        const apiParams = {
+            numOfRows,
+            pageNo,
+            arrange
+        };
+
+        const optionalParams = {
+            areaCode, sigunguCode, modifiedtime, lDongRegnCd, lDongSignguCd,
+            lclsSystm1, lclsSystm2, lclsSystm3
+        };
+
+        Object.entries(optionalParams).forEach(([key, value]) => {
+            if (value) apiParams[key] = value;
+        });
+
+        const data = await httpClient.getTourismData('searchStay', apiParams);
+
+        const items = ApiResponseProcessor.extractItems(data);
+        const processedItems = items.map(item => ({
+            ...ApiResponseProcessor.processBasicItem(item, container),
+            certifications: ApiResponseProcessor.processStayCertifications(item, container)
+        }));
+
+        // 응답에 근거가 하나도 없는 인증 필터는 적용하지 않고 appliedFilters에 그 사실을 남긴다
+        const appliedFilters = {};
+        let filteredItems = processedItems;
+
+        for (const [key, value] of Object.entries(certificationFilters)) {
+            if (!value) continue;
+
+            const supported = processedItems.some(item => item.certifications[key] !== null);
+            appliedFilters[key] = {
+                value,
+                label: constants.getStayCertification(key).name,
+                applied: supported || processedItems.length === 0
+            };
+
+            if (supported) {
+                const expected = value === 'Y';
+                filteredItems = filteredItems.filter(item => item.certifications[key] === expected);
+            }
+        }
+
+        let introSummary = {
+            requested: includeIntro === 'Y',
+            enriched: 0,
+            failed: 0,
+            ...(includeIntro === 'Y' && {
+                rowLimit: introRowLimit,
+                rowsCapped: requestedRows > introRowLimit
+            })
+        };
+        if (includeIntro === 'Y' && filteredItems.length > 0) {
+            introSummary = {
+                ...introSummary,
+                ...await this.attachStayIntro(container, filteredItems, configManager.get('maxBatchSize'))
+            };
+        }
+
+        const totalCount = data.response?.body?.totalCount || processedItems.length;
+        const apiTime = Date.now() - startTime;
+        const result = ResponseFormatter.formatSuccess('searchStay', {
+            items: filteredItems,
+            pagination: {
+                totalCount,
+                pageNo: parseInt(pageNo),
+                numOfRows: parseInt(numOfRows),
+                totalPages: Math.ceil(totalCount / parseInt(numOfRows)),
+                hasNext: (parseInt(pageNo) * parseInt(numOfRows)) < totalCount,
+                hasPrev: parseInt(pageNo) > 1,
+                ...this.describePostFilter({
+                    applied: Object.values(appliedFilters).some(filter => filter.applied),
+                    fetched: processedItems.length,
+                    matched: filteredItems.length,
+                    label: '인증'
+                })
+            },
+            searchInfo: {
+                params: optionalParams,
+                certificationFilters: appliedFilters,
+                fetchedCount: processedItems.length,
+                filteredCount: filteredItems.length,
+                intro: introSummary
+            }
+        }, {
+            operation: 'searchStay',
+            itemCount: filteredItems.length,
+            searchCriteria: Object.keys(optionalParams).filter(key => optionalParams[key]).length +
+                Object.keys(appliedFilters).length
+        }, {
+            apiResponseTime: apiTime,
+            totalProcessingTime: Date.now() - startTime
+        });
+
+        cache.set(cacheKey, result);
+        logger.metric('cache_set', 1, { operation: 'searchStay' });
+        logger.metric('api_request_success', 1, {
+            operation: 'searchStay',
+            itemCount: filteredItems.length,
+            fromCache: false
+        });
+
+        return result;
+    }
+
+    // detailIntro의 입퇴실/예약 정보를 숙소 목록에 붙인다. 실패한 숙소는 stay: null로 남긴다
+    static async attachStayIntro(container, items, batchSize) {
+        const logger = container.get('logger');
+        let enriched = 0;
+        let failed = 0;
+
+        for (let i = 0; i < items.length; i += batchSize) {
+            const batch = items.slice(i, i + batchSize);
+            await Promise.all(batch.map(async (item) => {
+                try {
+                    const introResult = await this.handleDetailIntro(container, {
+                        contentId: item.contentId,
+                        contentTypeId: '32'
+                    });
+                    const intro = introResult.data.intro;
+                    item.stay = {
+                        checkInTime: intro.checkInTime,
+                        checkOutTime: intro.checkOutTime,
+                        roomCount: intro.roomCount,
+                        roomType: intro.roomType,
+                        reservation: intro.reservation,
+                        reservationUrl: intro.reservationUrl,
+                        refundRegulation: intro.refundRegulation,
+                        parking: intro.parking,
+                        cooking: intro.cooking,
+                        pickup: intro.pickup
+                    };
+                    enriched++;
+                } catch (error) {
+                    item.stay = null;
+                    failed++;
+                    logger.warn('Stay intro lookup failed', { contentId: item.contentId, error: error.message });
+                }
+            }));
+        }
+
+        return { requested: true, enriched, failed };
+    }
+
+    static async handleDetailCommon(container, params) {
+        const startTime = Date.now();
+        const validator = container.get('validator');
+        const cache = container.get('cache');
+        const httpClient = container.get('httpClient');
+        const logger = container.get('logger');
+        const i18n = container.get('i18n');
+        
+        validator.validate('detailCommon', params);
+        
+        const { contentId } = params;
+        const cacheKey = cache.generateKey('detailCommon', { contentId });
+        
+        const cachedData = cache.get(cacheKey);
+        if (cachedData) {
+            logger.metric('cache_hit', 1, { operation: 'detailCommon' });
+            return ResponseFormatter.addCacheInfo(cachedData, true, cache.getStats());
+        }
+
+        const data = await httpClient.getTourismData('detailCommon', { contentId });
+
+        const items = ApiResponseProcessor.extractItems(data);
+        if (items.length === 0) {
+            throw new TourismApiError('NOT_FOUND', 'detailCommon', 404, {}, {}, i18n);
+        }
+
+        const item = items[0];
+        const processedItem = {
+            ...ApiResponseProcessor.processBasicItem(item, container),
+            telname: item.telname || null,
+            homepage: ApiResponseProcessor.sanitizeHtml(item.homepage) || null,
+            overview: ApiResponseProcessor.sanitizeHtml(item.overview) || null,
+            meta: {
+                ...ApiResponseProcessor.processBasicItem(item, container).meta,
+                hasOverview: !!item.overview,
+                hasHomepage: !!item.homepage,
+                hasTel: !!item.tel,
+                completeness: this.calculateCompleteness(item)
+            }
+        };
+
+        const apiTime = Date.now() - startTime;
+
+        const result = ResponseFormatter.formatSuccess('detailCommon', processedItem, {
+            operation: 'detailCommon',
+            contentId,
+            dataSource: 'AllTourism API 1.0'
+        }, {
+            apiResponseTime: apiTime,
+            totalProcessingTime: Date.now() - startTime
+        });
+
+        cache.set(cacheKey, result);
+        logger.metric('cache_set', 1, { operation: 'detailCommon' });
+        logger.metric('api_request_success', 1, { 
+            operation: 'detailCommon',
+            contentId,
+            fromCache: false
+        });
+
+        return result;
+    }
+
+    static async handleDetailIntro(container, params) {
+        const startTime = Date.now();
+        const validator = container.get('validator');
+        const cache = container.get('cache');
+        const httpClient = container.get('httpClient');
+        const logger = container.get('logger');
+        const i18n = container.get('i18n');
+
+        validator.validate('detailIntro', params);
+
+        const { contentId, contentTypeId } = params;
+        const cacheKey = cache.generateKey('detailIntro', { contentId, contentTypeId });
+
+        const cachedData = cache.get(cacheKey);
+        if (cachedData) {
+            logger.metric('cache_hit', 1, { operation: 'detailIntro' });
+            return ResponseFormatter.addCacheInfo(cachedData, true, cache.getStats());
+        }
+
+        const data = await httpClient.getTourismData('detailIntro', { contentId, contentTypeId });
+
+        const items = ApiResponseProcessor.extractItems(data);
+        if (items.length === 0) {
+            throw new TourismApiError('NOT_FOUND', 'detailIntro', 404, {}, {}, i18n);
+        }
+
+        const processedItem = ApiResponseProcessor.processIntroItem(items[0], contentTypeId, container);
+        const apiTime = Date.now() - startTime;
+
+        const result = ResponseFormatter.formatSuccess('detailIntro', processedItem, {
+            operation: 'detailIntro',
+            contentId,
+            contentTypeId,
+            dataSource: 'AllTourism API 1.0'
+        }, {
+            apiResponseTime: apiTime,
+            totalProcessingTime: Date.now() - startTime
+        });
+
+        cache.set(cacheKey, result);
+        logger.metric('cache_set', 1, { operation: 'detailIntro' });
+        logger.metric('api_request_success', 1, {
+            operation: 'detailIntro',
+            contentId,
+            fromCache: false
+        });
+
+        return result;
+    }
+
+    static async handleDetailImage(container, params) {
+        const startTime = Date.now();
+        const validator = container.get('validator');
+        const cache = container.get('cache');
+        const httpClient = container.get('httpClient');
+        const logger = container.get('logger');
+
+        validator.validate('detailImage', params);
+
+        const { contentId, imageYN = 'Y' } = params;
+        const cacheKey = cache.generateKey('detailImage', { contentId, imageYN });
+
+        const cachedData = cache.get(cacheKey);
+        if (cachedData) {
+            logger.metric('cache_hit', 1, { operation: 'detailImage' });
+            return ResponseFormatter.addCacheInfo(cachedData, true, cache.getStats());
+        }
+
+        const data = await httpClient.getTourismData('detailImage', {
+            contentId,
+            imageYN,
+            numOfRows: '100',
+            pageNo: '1'
+        });
+
+        const items = ApiResponseProcessor.extractItems(data);
+        const images = items
+            .map(item => ApiResponseProcessor.processImageItem(item, container))
+            .filter(image => image.originUrl || image.smallUrl)
+            .sort((a, b) => (parseInt(a.serialNum) || 0) - (parseInt(b.serialNum) || 0));
+
+        const copyrightTypes = [...new Set(images.map(image => image.copyright?.code).filter(Boolean))];
+        const apiTime = Date.now() - startTime;
+
+        const result = ResponseFormatter.formatSuccess('detailImage', {
+            contentId,
+            images,
+            summary: {
+                totalCount: images.length,
+                copyrightTypes,
+                commercialUseAllowed: images.length > 0 && images.every(image => image.copyright?.commercialUse === true),
+                modificationAllowed: images.length > 0 && images.every(image => image.copyright?.modification === true)
+            }
+        }, {
+            operation: 'detailImage',
+            contentId,
+            imageYN,
+            itemCount: images.length,
+            dataSource: 'AllTourism API 1.0'
+        }, {
+            apiResponseTime: apiTime,
+            totalProcessingTime: Date.now() - startTime
+        });
+
+        cache.set(cacheKey, result);
+        logger.metric('cache_set', 1, { operation: 'detailImage' });
+        logger.metric('api_request_success', 1, {
+            operation: 'detailImage',
+            contentId,
+            itemCount: images.length,
+            fromCache: false
+        });
+
+        return result;
+    }
+
+    static async handleDetailInfo(container, params) {
+        const startTime = Date.now();
+        const validator = container.get('validator');
+        const cache = container.get('cache');
+        const httpClient = container.get('httpClient');
+        const logger = container.get('logger');
+
+        validator.validate('detailInfo', params);
+
+        const { contentId, contentTypeId } = params;
+        const cacheKey = cache.generateKey('detailInfo', { contentId, contentTypeId });
+
+        const cachedData = cache.get(cacheKey);
+        if (cachedData) {
+            logger.metric('cache_hit', 1, { operation: 'detailInfo' });
+            return ResponseFormatter.addCacheInfo(cachedData, true, cache.getStats());
+        }
+
+        const data = await httpClient.getTourismData('detailInfo', {
+            contentId,
+            contentTypeId,
+            numOfRows: '100',
+            pageNo: '1'
+        });
+
+        const items = ApiResponseProcessor.extractItems(data);
+        const processed = { contentId, contentTypeId };
+        let itemCount;
+
+        if (contentTypeId === '32') {
+            processed.rooms = items.map(item => ApiResponseProcessor.processRoomItem(item, container));
+            itemCount = processed.rooms.length;
+        } else if (contentTypeId === '25') {
+            processed.courses = items
+                .map(item => ApiResponseProcessor.processCourseItem(item))
+                .sort((a, b) => (a.subNum ?? 0) - (b.subNum ?? 0));
+            itemCount = processed.courses.length;
+        } else {
+            processed.infos = items
+                .map(item => ApiResponseProcessor.processInfoItem(item))
+                .filter(info => info.infoName || info.infoText);
+            itemCount = processed.infos.length;
+        }
+
+        const apiTime = Date.now() - startTime;
+
+        const result = ResponseFormatter.formatSuccess('detailInfo', processed, {
+            operation: 'detailInfo',
+            contentId,
+            contentTypeId,
+            itemCount,
+            dataSource: 'AllTourism API 1.0'
+        }, {
+            apiResponseTime: apiTime,
+            totalProcessingTime: Date.now() - startTime
+        });
+
+        cache.set(cacheKey, result);
+        logger.metric('cache_set', 1, { operation: 'detailInfo' });
+        logger.metric('api_request_success', 1, {
+            operation: 'detailInfo',
+            contentId,
+            itemCount,
+            fromCache: false
+        });
+
+        return result;
+    }
+
+    static async handleSearchKeyword(container, params) {
+        const startTime = Date.now();
+        const validator = container.get('validator');
+        const cache = container.get('cache');
+        const httpClient = container.get('httpClient');
+        const logger = container.get('logger');
+        
+        validator.validate('searchKeyword', params);
+        
+        const {
+            keyword, areaCode = '', sigunguCode = '',
+            numOfRows = '10', pageNo = '1', arrange = 'C',
+            cat1 = '', cat2 = '', cat3 = '',
+            lDongRegnCd = '', lDongSignguCd = '',
+            lclsSystm1 = '', lclsSystm2 = '', lclsSystm3 = '',
+            userLat = '', userLng = '', radius = ''
+        } = params;
+
+        const cacheableParams = {
+            keyword, areaCode, sigunguCode, numOfRows, pageNo, arrange,
+            cat1, cat2, cat3, lDongRegnCd, lDongSignguCd,
+            lclsSystm1, lclsSystm2, lclsSystm3
+        };
+        
+        const cacheKey = cache.generateKey('searchKeyword', cacheableParams);
+        
+        if (!userLat && !userLng) {
+            const cachedData = cache.get(cacheKey);
+            if (cachedData) {
+                logger.metric('cache_hit', 1, { operation: 'searchKeyword' });
+                return ResponseFormatter.addCacheInfo(cachedData, true, cache.getStats());
+            }
+        }
+
+        const apiParams = {
+            keyword: encodeURIComponent(keyword),
+            numOfRows,
+            pageNo,
+            arrange
+        };
+
+        const optionalParams = {
+            areaCode, sigunguCode, cat1, cat2, cat3,
+            lDongRegnCd, lDongSignguCd, lclsSystm1, lclsSystm2, lclsSystm3
+        };
+
+        Object.entries(optionalParams).forEach(([key, value]) => {
+            if (value) apiParams[key] = value;
+        });
+
+        const data = await httpClient.getTourismData('searchKeyword', apiParams);
+
+        const items = ApiResponseProcessor.extractItems(data);
+        let processedItems = items.map(item => ApiResponseProcessor.processBasicItem(item, container));
+
+        if (userLat && userLng) {
+            processedItems = GeoUtils.addDistanceInfo(processedItems, userLat, userLng, radius);
+        }
+
+        const totalCount = data.response?.body?.totalCount || processedItems.length;
+        const apiTime = Date.now() - startTime;
+
+        const result = ResponseFormatter.formatSuccess('searchKeyword', {
+            items: processedItems,
+            searchKeyword: keyword,
+            pagination: {
+                totalCount,
+                pageNo: parseInt(pageNo),
+                numOfRows: parseInt(numOfRows),
+                totalPages: Math.ceil(totalCount / parseInt(numOfRows)),
+                hasNext: (parseInt(pageNo) * parseInt(numOfRows)) < totalCount,
+                hasPrev: parseInt(pageNo) > 1
+            },
+            searchInfo: {
+                params: optionalParams,
+                hasLocationFilter: !!(userLat && userLng),
+                locationFilter: userLat && userLng ? {
+                    lat: parseFloat(userLat),
+                    lng: parseFloat(userLng),
+                    radius: radius ? parseFloat(radius) : null
+                } : null
+            }
+        }, {
+            operation: 'searchKeyword',
+            keyword,
+            itemCount: processedItems.length
+        }, {
+            apiResponseTime: apiTime,
+            totalProcessingTime: Date.now() - startTime
+        });
+
+        if (!userLat && !userLng) {
+            cache.set(cacheKey, result);
+            logger.metric('cache_set', 1, { operation: 'searchKeyword' });
+        }
+
+        logger.metric('api_request_success', 1, { 
+            operation: 'searchKeyword',
+            keyword,
+            itemCount: processedItems.length,
+            fromCache: false
+        });
+
+        return result;
+    }
+
+    static async handleLocationBasedList(container, params) {
+        const startTime = Date.now();
+        const validator = container.get('validator');
+        const httpClient = container.get('httpClient');
+        const logger = container.get('logger');
+        const configManager = container.get('config');
+        
+        validator.validate('locationBasedList', params);
+        
+        const {
+            mapX, mapY, radius,
+            numOfRows: requestedRows = '10', pageNo = '1', arrange = 'E',
+            contentTypeId = '', areaCode = '', sigunguCode = '',
+            cat1 = '', cat2 = '', cat3 = '', modifiedtime = '',
+            lDongRegnCd = '', lDongSignguCd = '',
+            lclsSystm1 = '', lclsSystm2 = '', lclsSystm3 = '',
+            petFriendly = ''
+        } = params;
+        const { numOfRows, petRowLimit } = this.limitPetFilterRows(configManager, requestedRows, petFriendly);
+
+        const apiParams = {
+            mapX,
+            mapY,
+            radius,
+            numOfRows,
+            pageNo,
+            arrange
+        };
+
+        const optionalParams = {
+            contentTypeId, areaCode, sigunguCode, cat1, cat2, cat3, modifiedtime,
+            lDongRegnCd, lDongSignguCd, lclsSystm1, lclsSystm2, lclsSystm3
+        };
+
+        Object.entries(optionalParams).forEach(([key, value]) => {
+            if (value) apiParams[key] = value;
+        });
+
+        const data = await httpClient.getTourismData('locationBasedList', apiParams);
+
+        const items = ApiResponseProcessor.extractItems(data);
+        let processedItems = items.map(item => ({
+            ...ApiResponseProcessor.processBasicItem(item, container),
+            dist: parseFloat(item.dist) || null
+        }));
+
+        let petFilter = null;
+        if (petFriendly === 'Y') {
+            const { items: petItems, ...summary } = await this.filterPetFriendly(container, processedItems);
+            processedItems = petItems;
+            petFilter = { ...summary, ...petRowLimit };
+        }
+
+        const totalCount = data.response?.body?.totalCount || processedItems.length;
+        const apiTime = Date.now() - startTime;
+
+        const result = ResponseFormatter.formatSuccess('locationBasedList', {
+            items: processedItems,
+            searchCenter: {
+                lat: parseFloat(mapY),
+                lng: parseFloat(mapX),
+                radius: parseFloat(radius)
+            },
+            petFilter,
+            pagination: {
+                totalCount,
+                pageNo: parseInt(pageNo),
+                numOfRows: parseInt(numOfRows),
+                totalPages: Math.ceil(totalCount / parseInt(numOfRows)),
+                hasNext: (parseInt(pageNo) * parseInt(numOfRows)) < totalCount,
+                hasPrev: parseInt(pageNo) > 1,
+                ...(petFilter && this.describePostFilter({
+                    applied: true,
+                    fetched: petFilter.checked,
+                    matched: petFilter.matched,
+                    label: '반려동물 동반'
+                }))
+            }
+        }, {
+            operation: 'locationBasedList',
+            searchParams: { mapX, mapY, radius, contentTypeId, petFriendly },
+            itemCount: processedItems.length
+        }, {
+            apiResponseTime: apiTime,
+            totalProcessingTime: Date.now() - startTime
+        });
+
+        logger.metric('api_request_success', 1, { 
+            operation: 'locationBasedList',
+            itemCount: processedItems.length,
+            fromCache: false
+        });
+
+        return result;
+    }
+
+    static calculateCompleteness(item) {
+        const fields = [
+            'title', 'addr1', 'tel', 'firstimage', 'mapx', 'mapy', 
+            'overview', 'homepage', 'cat1', 'cat2', 'cat3'
+        ];
+        
+        const filledFields = fields.filter(field => 
+            item[field] && item[field] !== '' && item[field] !== '0'
+        ).length;
+        
+        return Math.round((filledFields / fields.length) * 100);
+    }
+
+    static async handleAreaCode(container, params) {
+        container.get('validator').validate('areaCode', params);
+        const { areaCode = '' } = params;
+        return this.handleCodeList(container, 'areaCode', { areaCode }, params);
+    }
+
+    static async handleCategoryCode(container, params) {
+        container.get('validator').validate('categoryCode', params);
+        const { contentTypeId = '', cat1 = '', cat2 = '', cat3 = '' } = params;
+        return this.handleCodeList(container, 'categoryCode', { contentTypeId, cat1, cat2, cat3 }, params);
+    }
+
+    static async handleLdongCode(container, params) {
+        container.get('validator').validate('ldongCode', params);
+        const { lDongRegnCd = '', lDongListYn = 'N' } = params;
+        return this.handleCodeList(container, 'ldongCode', { lDongRegnCd, lDongListYn }, params);
+    }
+
+    static async handleLclsSystmCode(container, params) {
+        container.get('validator').validate('lclsSystmCode', params);
+        const { lclsSystm1 = '', lclsSystm2 = '', lclsSystm3 = '', lclsSystmListYn = 'N' } = params;
+        return this.handleCodeList(container, 'lclsSystmCode', { lclsSystm1, lclsSystm2, lclsSystm3, lclsSystmListYn }, params);
+    }
+
+    // 코드 조회 4종 공통: 국문/영문 목록을 코드 기준으로 합쳐 한 번에 돌려준다
+    static async handleCodeList(container, operation, codeParams, params) {
+        const startTime = Date.now();
+        const logger = container.get('logger');
+        const { numOfRows = '', pageNo = '1' } = params;
+
+        const { ko, en } = await this.fetchCodeItems(container, operation, codeParams);
+        const flatList = codeParams.lDongListYn === 'Y' || codeParams.lclsSystmListYn === 'Y';
+        const items = flatList ?
+            this.mergeFlatCodeRows(ko, en) :
+            this.mergeCodeItems(ko, en);
+
+        // 코드표는 전체를 캐시해 두고 페이지 요청은 잘라서 응답한다
+        const rows = numOfRows ? parseInt(numOfRows) : items.length || 1;
+        const page = parseInt(pageNo);
+        const pageItems = items.slice((page - 1) * rows, page * rows);
+
+        logger.metric('api_request_success', 1, { operation, itemCount: pageItems.length });
+
+        return ResponseFormatter.formatSuccess(operation, {
+            items: pageItems,
+            pagination: {
+                totalCount: items.length,
+                pageNo: page,
+                numOfRows: rows,
+                totalPages: Math.ceil(items.length / rows),
+                hasNext: page * rows < items.length,
+                hasPrev: page > 1
+            },
+            searchInfo: {
+                params: codeParams,
+                englishLabels: en !== null
+            }
+        }, {
+            operation,
+            itemCount: pageItems.length
+        }, {
+            totalProcessingTime: Date.now() - startTime
+        });
+    }
+
+    static async handleCodes(container, params) {
+        const startTime = Date.now();
+        const validator = container.get('validator');
+        const cache = container.get('cache');
+        const logger = container.get('logger');
+        const configManager = container.get('config');
+
+        const i18n = container.get('i18n');
+
+        validator.validate('codes', params);
+
+        // 기본은 전체 트리(시도→시군구, 대분류→중분류→소분류)를 한 번 만들어 codeCacheTtl 동안 캐시한다.
+        // parent=를 주면 그 코드의 바로 아래 단계만 조회한다 (계단식 선택기에서 한 단계씩 불러올 때)
+        const { type = 'all', parent = '' } = params;
+        const parentPattern = { area: /^\d{1,2}$/, category: /^[A-Z]\d{2}(\d{2})?$/ }[type];
+        if (parent && !(parentPattern && parentPattern.test(parent))) {
+            throw new ValidationError('parent는 type=area(시도 코드) 또는 type=category(대분류·중분류 코드)에서만 쓸 수 있습니다',
+                'parent', parent, i18n);
+        }
+
+        const cacheKey = cache.generateKey('codes', { type, parent });
+        const cachedData = cache.get(cacheKey);
+        if (cachedData) {
+            logger.metric('cache_hit', 1, { operation: 'codes' });
+            return ResponseFormatter.addCacheInfo(cachedData, true, cache.getStats());
+        }
+
+        const builders = parent ? {
+            area: () => this.buildAreaLevel(container, parent),
+            category: () => this.buildCategoryLevel(container, parent)
+        } : {
+            area: () => this.buildAreaTree(container),
+            category: () => this.buildCategoryTree(container),
+            ldong: () => this.buildLdongTree(container),
+            lclsSystm: () => this.buildLclsSystmTree(container)
+        };
+
+        const types = type === 'all' ? Object.keys(builders) : [type];
+        const trees = {};
+        for (const treeType of types) {
+            trees[treeType] = await builders[treeType]();
+        }
+
+        const result = ResponseFormatter.formatSuccess('codes', trees, {
+            operation: 'codes',
+            types,
+            parent: parent || null,
+            cacheTtl: configManager.get('codeCacheTtl')
+        }, {
+            totalProcessingTime: Date.now() - startTime
+        });
+
+        cache.set(cacheKey, result, configManager.get('codeCacheTtl'));
+        logger.metric('cache_set', 1, { operation: 'codes' });
+
+        return result;
+    }
+
+    static async buildAreaTree(container) {
+        const constants = container.get('constants');
+        const { ko, en } = await this.fetchCodeItems(container, 'areaCode', {});
+        const areas = this.mergeCodeItems(ko, en).map(area => ({
+            ...area,
+            nameEn: area.nameEn || constants.get('AREA_CODE_MAP', area.code)?.en || null
+        }));
+
+        return this.mapInBatches(container, areas, async (area) => {
+            const children = await this.fetchCodeItems(container, 'areaCode', { areaCode: area.code });
+            return { ...area, children: this.mergeCodeItems(children.ko, children.en) };
+        });
+    }
+
+    static async buildCategoryTree(container) {
+        const { ko, en } = await this.fetchCodeItems(container, 'categoryCode', {});
+        const cat1List = this.mergeCodeItems(ko, en);
+
+        return this.mapInBatches(container, cat1List, async (cat1) => {
+            const cat2Codes = await this.fetchCodeItems(container, 'categoryCode', { cat1: cat1.code });
+            const cat2List = await this.mapInBatches(container, this.mergeCodeItems(cat2Codes.ko, cat2Codes.en), async (cat2) => {
+                const cat3Codes = await this.fetchCodeItems(container, 'categoryCode', { cat1: cat1.code, cat2: cat2.code });
+                return { ...cat2, children: this.mergeCodeItems(cat3Codes.ko, cat3Codes.en) };
+            });
+            return { ...cat1, children: cat2List };
+        });
+    }
+
+    // parent=시도 코드: 해당 시도의 시군구 목록
+    static async buildAreaLevel(container, parent) {
+        const { ko, en } = await this.fetchCodeItems(container, 'areaCode', { areaCode: parent });
+        return this.mergeCodeItems(ko, en);
+    }
+
+    // parent=대분류(A01): 중분류, parent=중분류(A0101): 소분류
+    static async buildCategoryLevel(container, parent) {
+        const codeParams = parent.length === 3 ? { cat1: parent } : { cat1: parent.slice(0, 3), cat2: parent };
+        const { ko, en } = await this.fetchCodeItems(container, 'categoryCode', codeParams);
+        const hasChildren = !codeParams.cat2;
+
+        return this.mergeCodeItems(ko, en).map(item => (hasChildren ? { ...item, hasChildren } : item));
+    }
+
+    static async buildLdongTree(container) {
+        const { ko, en } = await this.fetchCodeItems(container, 'ldongCode', { lDongListYn: 'Y' });
+        return this.buildTreeFromRows(this.mergeFlatCodeRows(ko, en), [
+            { code: 'lDongRegnCd', name: 'lDongRegnNm' },
+            { code: 'lDongSignguCd', name: 'lDongSignguNm' }
+        ]);
+    }
+
+    static async buildLclsSystmTree(container) {
+        const { ko, en } = await this.fetchCodeItems(container, 'lclsSystmCode', { lclsSystmListYn: 'Y' });
+        return this.buildTreeFromRows(this.mergeFlatCodeRows(ko, en), [
+            { code: 'lclsSystm1Cd', name: 'lclsSystm1Nm' },
+            { code: 'lclsSystm2Cd', name: 'lclsSystm2Nm' },
+            { code: 'lclsSystm3Cd', name: 'lclsSystm3Nm' }
+        ]);
+    }
+
+    // 국문은 필수, 영문은 실패해도 en: null로 두고 국문 라벨만으로 응답한다
+    static async fetchCodeItems(container, operation, codeParams) {
+        const cache = container.get('cache');
+        const logger = container.get('logger');
+        const configManager = container.get('config');
+
+        const apiParams = {};
+        Object.entries(codeParams).forEach(([key, value]) => {
+            if (value) apiParams[key] = value;
+        });
+
+        const cacheKey = cache.generateKey(`${operation}:codes`, apiParams);
+        const cachedData = cache.get(cacheKey);
+        if (cachedData) return cachedData;
+
+        const [ko, en] = await Promise.all([
+            this.fetchAllCodePages(container, operation, apiParams, 'ko'),
+            this.fetchAllCodePages(container, operation, apiParams, 'en').catch(error => {
+                logger.warn('English code labels unavailable', { operation, error: error.message });
+                return null;
+            })
+        ]);
+
+        const result = { ko, en };
+        cache.set(cacheKey, result, configManager.get('codeCacheTtl'));
+        return result;
+    }
+
+    static async fetchAllCodePages(container, operation, apiParams, service) {
+        const httpClient = container.get('httpClient');
+        const pageSize = 1000;
+        const items = [];
+
+        for (let pageNo = 1; ; pageNo++) {
+            const data = await httpClient.getTourismData(operation, {
+                ...apiParams,
+                numOfRows: String(pageSize),
+                pageNo: String(pageNo)
+            }, { service });
+
+            const pageItems = ApiResponseProcessor.extractItems(data);
+            items.push(...pageItems);
+
+            const totalCount = data.response?.body?.totalCount || 0;
+            if (pageItems.length < pageSize || items.length >= totalCount) break;
+        }
+
+        return items;
+    }
+
+    static mergeCodeItems(koItems, enItems) {
+        const enNames = new Map((enItems || []).map(item => [String(item.code), item.name]));
+        return koItems.map(item => ({
+            code: String(item.code),
+            name: item.name,
+            nameEn: enNames.get(String(item.code)) || null
+        }));
+    }
+
+    // 전체 목록(ListYn=Y) 행은 단계별 코드/이름 컬럼을 가지므로 영문 이름을 같은 위치에 *En 으로 붙인다
+    static mergeFlatCodeRows(koRows, enRows) {
+        const rowKey = row => Object.keys(row).filter(key => key.endsWith('Cd')).sort().map(key => row[key]).join('|');
+        const enByKey = new Map((enRows || []).map(row => [rowKey(row), row]));
+
+        return koRows.map(row => {
+            const enRow = enByKey.get(rowKey(row));
+            const merged = {};
+            Object.entries(row).forEach(([key, value]) => {
+                if (key === 'rnum') return;
+                merged[key] = value;
+                if (key.endsWith('Nm')) merged[`${key}En`] = enRow?.[key] || null;
+            });
+            return merged;
         });
+    }
 
-        return result;
+    static buildTreeFromRows(rows, levels) {
+        const root = [];
+        const index = new Map();
+
+        rows.forEach(row => {
+            let siblings = root;
+            let path = '';
+            levels.forEach((level, depth) => {
+                const code = row[level.code];
+                if (!code) return;
+                path += `/${code}`;
+
+                let node = index.get(path);
+                if (!node) {
+                    node = { code: String(code), name: row[level.name], nameEn: row[`${level.name}En`] || null };
+                    if (depth < levels.length - 1) node.children = [];
+                    index.set(path, node);
+                    siblings.push(node);
+                }
+                siblings = node.children || [];
+            });
+        });
+
+        return root;
     }
 
-    static async handleDetailCommon(container, params) {
+    static async mapInBatches(container, items, fn) {
+        const batchSize = container.get('config').get('maxBatchSize');
+        const results = [];
+        for (let i = 0; i < items.length; i += batchSize) {
+            results.push(...await Promise.all(items.slice(i, i + batchSize).map(fn)));
+        }
+        return results;
+    }
+
+    static async handleDetailPetTour(container, params) {
         const startTime = Date.now();
         const validator = container.get('validator');
         const cache = container.get('cache');
         const httpClient = container.get('httpClient');
         const logger = container.get('logger');
         const i18n = container.get('i18n');
-        
-        validator.validate('detailCommon', params);
-        
+
+        validator.validate('detailPetTour', params);
+
         const { contentId } = params;
-        const cacheKey = cache.generateKey('detailCommon', { contentId });
-        
+        const cacheKey = cache.generateKey('detailPetTour', { contentId });
+
         const cachedData = cache.get(cacheKey);
         if (cachedData) {
-            logger.metric('cache_hit', 1, { operation: 'detailCommon' });
+            logger.metric('cache_hit', 1, { operation: 'detailPetTour' });
             return ResponseFormatter.addCacheInfo(cachedData, true, cache.getStats());
         }
 
-        const data = await httpClient.getTourismData('detailCommon', { contentId });
+        const data = await httpClient.getTourismData('detailPetTour', { contentId });
 
         const items = ApiResponseProcessor.extractItems(data);
         if (items.length === 0) {
-            throw new TourismApiError('NOT_FOUND', 'detailCommon', 404, {}, {}, i18n);
+            throw new TourismApiError('NOT_FOUND', 'detailPetTour', 404, {}, {}, i18n);
         }
 
-        const item = items[0];
-        const processedItem = {
-            ...ApiResponseProcessor.processBasicItem(item, container),
-            telname: item.telname || null,
-            homepage: ApiResponseProcessor.sanitizeHtml(item.homepage) || null,
-            overview: ApiResponseProcessor.sanitizeHtml(item.overview) || null,
-            meta: {
-                ...ApiResponseProcessor.processBasicItem(item, container).meta,
-                hasOverview: !!item.overview,
-                hasHomepage: !!item.homepage,
-                hasTel: !!item.tel,
-                completeness: this.calculateCompleteness(item)
-            }
-        };
-
+        const processedItem = ApiResponseProcessor.processPetTourItem(items[0], container);
         const apiTime = Date.now() - startTime;
 
-        const result = ResponseFormatter.formatSuccess('detailCommon', processedItem, {
-            operation: 'detailCommon',
+        const result = ResponseFormatter.formatSuccess('detailPetTour', processedItem, {
+            operation: 'detailPetTour',
             contentId,
             dataSource: 'AllTourism API 1.0'
         }, {
@@ -1860,9 +3811,9 @@ class AllTourismApiHandlers {
         });
 
         cache.set(cacheKey, result);
-        logger.metric('cache_set', 1, { operation: 'detailCommon' });
-        logger.metric('api_request_success', 1, { 
-            operation: 'detailCommon',
+        logger.metric('cache_set', 1, { operation: 'detailPetTour' });
+        logger.metric('api_request_success', 1, {
+            operation: 'detailPetTour',
             contentId,
             fromCache: false
         });
@@ -1870,71 +3821,114 @@ class AllTourismApiHandlers {
         return result;
     }
 
-    static async handleSearchKeyword(container, params) {
+    // 인증·반려동물 필터는 API 페이지를 받은 뒤에 거르므로 totalCount/totalPages/hasNext는 필터 전 기준이다.
+    // 이번 페이지에서 남은 개수와 함께 그 사실을 pagination에 밝힌다
+    static describePostFilter({ applied, fetched, matched, label }) {
+        return {
+            filteredCount: matched,
+            countsBeforeFilter: applied,
+            ...(applied && matched < fetched && {
+                note: `${label} 필터는 페이지 단위로 적용되어 한 페이지의 결과가 numOfRows보다 적을 수 있습니다. totalCount·totalPages·hasNext는 필터 전 기준입니다`
+            })
+        };
+    }
+
+    // detailPetTour 호출 수가 numOfRows(최대 1000)를 따라 늘지 않도록 petFriendly=Y일 때 페이지 크기를 줄인다
+    static limitPetFilterRows(configManager, requestedRows, petFriendly) {
+        const requested = parseInt(requestedRows);
+        if (petFriendly !== 'Y') {
+            return { numOfRows: String(requested), petRowLimit: null };
+        }
+        const rowLimit = configManager.get('petFilterMaxRows');
+        return {
+            numOfRows: String(Math.min(requested, rowLimit)),
+            petRowLimit: { rowLimit, rowsCapped: requested > rowLimit }
+        };
+    }
+
+    // petFriendly=Y: 각 항목에 detailPetTour 정책을 붙이고 동반 가능한 항목만 남긴다.
+    // 동반 정보가 없는 콘텐츠(NOT_FOUND)는 동반 가능 여부를 알 수 없으므로 제외한다
+    static async filterPetFriendly(container, items) {
+        const batchSize = container.get('config').get('maxBatchSize');
+        const logger = container.get('logger');
+        const petFriendly = [];
+        let failed = 0;
+
+        for (let i = 0; i < items.length; i += batchSize) {
+            const batch = items.slice(i, i + batchSize);
+            const policies = await Promise.all(batch.map(item =>
+                this.handleDetailPetTour(container, { contentId: item.contentId })
+                    .then(result => result.data.policy)
+                    .catch(error => {
+                        if (error.code !== 'NOT_FOUND') {
+                            failed++;
+                            logger.warn('Pet policy lookup failed', { contentId: item.contentId, error: error.message });
+                        }
+                        return null;
+                    })
+            ));
+
+            batch.forEach((item, index) => {
+                if (policies[index] && policies[index].allowed !== false) {
+                    petFriendly.push({ ...item, petPolicy: policies[index] });
+                }
+            });
+        }
+
+        return { items: petFriendly, checked: items.length, matched: petFriendly.length, failed };
+    }
+
+    static async handleAreaBasedSyncList(container, params) {
         const startTime = Date.now();
         const validator = container.get('validator');
         const cache = container.get('cache');
         const httpClient = container.get('httpClient');
         const logger = container.get('logger');
-        
-        validator.validate('searchKeyword', params);
-        
+
+        validator.validate('areaBasedSyncList', params);
+
         const {
-            keyword, areaCode = '', sigunguCode = '',
             numOfRows = '10', pageNo = '1', arrange = 'C',
-            cat1 = '', cat2 = '', cat3 = '',
-            lDongRegnCd = '', lDongSignguCd = '',
-            lclsSystm1 = '', lclsSystm2 = '', lclsSystm3 = '',
-            userLat = '', userLng = '', radius = ''
+            contentTypeId = '', areaCode = '', sigunguCode = '',
+            modifiedtime = '', showflag = ''
         } = params;
 
         const cacheableParams = {
-            keyword, areaCode, sigunguCode, numOfRows, pageNo, arrange,
-            cat1, cat2, cat3, lDongRegnCd, lDongSignguCd,
-            lclsSystm1, lclsSystm2, lclsSystm3
+            numOfRows, pageNo, arrange, contentTypeId, areaCode, sigunguCode, modifiedtime, showflag
         };
-        
-        const cacheKey = cache.generateKey('searchKeyword', cacheableParams);
-        
-        if (!userLat && !userLng) {
-            const cachedData = cache.get(cacheKey);
-            if (cachedData) {
-                logger.metric('cache_hit', 1, { operation: 'searchKeyword' });
-                return ResponseFormatter.addCacheInfo(cachedData, true, cache.getStats());
-            }
+
+        const cacheKey = cache.generateKey('areaBasedSyncList', cacheableParams);
+        const cachedData = cache.get(cacheKey);
+        if (cachedData) {
+            logger.metric('cache_hit', 1, { operation: 'areaBasedSyncList' });
+            return ResponseFormatter.addCacheInfo(cachedData, true, cache.getStats());
         }
 
         const apiParams = {
-            keyword: encodeURIComponent(keyword),
             numOfRows,
             pageNo,
             arrange
         };
 
-        const optionalParams = {
-            areaCode, sigunguCode, cat1, cat2, cat3,
-            lDongRegnCd, lDongSignguCd, lclsSystm1, lclsSystm2, lclsSystm3
-        };
+        const optionalParams = { contentTypeId, areaCode, sigunguCode, modifiedtime, showflag };
 
         Object.entries(optionalParams).forEach(([key, value]) => {
             if (value) apiParams[key] = value;
         });
 
-        const data = await httpClient.getTourismData('searchKeyword', apiParams);
+        const data = await httpClient.getTourismData('areaBasedSyncList', apiParams);
 
         const items = ApiResponseProcessor.extractItems(data);
-        let processedItems = items.map(item => ApiResponseProcessor.processBasicItem(item, container));
-
-        if (userLat && userLng) {
-            processedItems = GeoUtils.addDistanceInfo(processedItems, userLat, userLng, radius);
-        }
+        const processedItems = items.map(item => ({
+            ...ApiResponseProcessor.processBasicItem(item, container),
+            showflag: item.showflag !== undefined ? String(item.showflag) === '1' : null
+        }));
 
         const totalCount = data.response?.body?.totalCount || processedItems.length;
         const apiTime = Date.now() - startTime;
 
-        const result = ResponseFormatter.formatSuccess('searchKeyword', {
+        const result = ResponseFormatter.formatSuccess('areaBasedSyncList', {
             items: processedItems,
-            searchKeyword: keyword,
             pagination: {
                 totalCount,
                 pageNo: parseInt(pageNo),
@@ -1945,30 +3939,21 @@ class AllTourismApiHandlers {
             },
             searchInfo: {
                 params: optionalParams,
-                hasLocationFilter: !!(userLat && userLng),
-                locationFilter: userLat && userLng ? {
-                    lat: parseFloat(userLat),
-                    lng: parseFloat(userLng),
-                    radius: radius ? parseFloat(radius) : null
-                } : null
+                hiddenCount: processedItems.filter(item => item.showflag === false).length
             }
         }, {
-            operation: 'searchKeyword',
-            keyword,
-            itemCount: processedItems.length
+            operation: 'areaBasedSyncList',
+            itemCount: processedItems.length,
+            searchCriteria: Object.keys(optionalParams).filter(key => optionalParams[key]).length
         }, {
             apiResponseTime: apiTime,
             totalProcessingTime: Date.now() - startTime
         });
 
-        if (!userLat && !userLng) {
-            cache.set(cacheKey, result);
-            logger.metric('cache_set', 1, { operation: 'searchKeyword' });
-        }
-
-        logger.metric('api_request_success', 1, { 
-            operation: 'searchKeyword',
-            keyword,
+        cache.set(cacheKey, result);
+        logger.metric('cache_set', 1, { operation: 'areaBasedSyncList' });
+        logger.metric('api_request_success', 1, {
+            operation: 'areaBasedSyncList',
             itemCount: processedItems.length,
             fromCache: false
         });
@@ -1976,96 +3961,153 @@ class AllTourismApiHandlers {
         return result;
     }
 
-    static async handleLocationBasedList(container, params) {
-        const startTime = Date.now();
+    // action: run(기본) | status | list | reset
+    // status/list는 공개, 외부 API를 호출하거나 미러를 지우는 run/reset은 관리자 키가 필요하다
+    static async handleSync(container, params, req) {
         const validator = container.get('validator');
+        const mirror = container.get('mirror');
+
+        validator.validate('sync', params);
+
+        const { action = 'run' } = params;
+        if (action === 'run' || action === 'reset') {
+            container.get('security').validateSyncAdmin(req);
+        }
+        await mirror.load();
+
+        switch (action) {
+            case 'status':
+                return ResponseFormatter.formatSuccess('sync', {
+                    mirror: mirror.getStatus(),
+                    cursor: mirror.state.cursor ? SyncCursor.encode(mirror.state.cursor) : null
+                }, { operation: 'sync', action });
+            case 'list':
+                return this.listFromMirror(container, params);
+            case 'reset':
+                await mirror.lock.execute(() => mirror.reset());
+                return ResponseFormatter.formatSuccess('sync', { mirror: mirror.getStatus() }, { operation: 'sync', action });
+            default:
+                if (mirror.lock.currentConcurrent > 0) {
+                    throw new TourismApiError('SYNC_IN_PROGRESS', 'sync', 409, {}, {}, container.get('i18n'));
+                }
+                return mirror.lock.execute(() => this.runSync(container, params));
+        }
+    }
+
+    // 커서 단계: full(전체 목록을 페이지 순회) → incremental(수정일 하루씩 순회, 오늘까지 따라잡으면 오늘에 머문다).
+    // 페이지를 처리할 때마다 커서를 저장하므로 중간에 끊겨도 다음 실행이 이어서 진행한다
+    static async runSync(container, params) {
+        const startTime = Date.now();
         const httpClient = container.get('httpClient');
         const logger = container.get('logger');
-        
-        validator.validate('locationBasedList', params);
-        
-        const {
-            mapX, mapY, radius,
-            numOfRows = '10', pageNo = '1', arrange = 'E',
-            contentTypeId = '', areaCode = '', sigunguCode = '',
-            cat1 = '', cat2 = '', cat3 = '', modifiedtime = '',
-            lDongRegnCd = '', lDongSignguCd = '',
-            lclsSystm1 = '', lclsSystm2 = '', lclsSystm3 = ''
-        } = params;
+        const configManager = container.get('config');
+        const mirror = container.get('mirror');
+        const i18n = container.get('i18n');
 
-        const apiParams = {
-            mapX,
-            mapY,
-            radius,
-            numOfRows,
-            pageNo,
-            arrange
-        };
+        const today = EventDateUtils.getKstToday();
+        const maxPages = parseInt(params.maxPages) || configManager.get('syncMaxPages');
+        let cursor;
+        try {
+            cursor = params.cursor ? SyncCursor.decode(params.cursor) : mirror.state.cursor;
+        } catch (error) {
+            throw new TourismApiError('INVALID_SYNC_CURSOR', 'sync', 400, { reason: error.message }, {}, i18n);
+        }
+        cursor = cursor || SyncCursor.initial(today, parseInt(params.numOfRows) || 100);
 
-        const optionalParams = {
-            contentTypeId, areaCode, sigunguCode, cat1, cat2, cat3, modifiedtime,
-            lDongRegnCd, lDongSignguCd, lclsSystm1, lclsSystm2, lclsSystm3
-        };
+        const counts = { added: 0, updated: 0, removed: 0, skipped: 0 };
+        let pagesFetched = 0;
+        let caughtUp = false;
 
-        Object.entries(optionalParams).forEach(([key, value]) => {
-            if (value) apiParams[key] = value;
-        });
+        while (pagesFetched < maxPages) {
+            const apiParams = {
+                numOfRows: String(cursor.numOfRows),
+                pageNo: String(cursor.pageNo),
+                arrange: 'C'
+            };
+            if (cursor.phase === 'incremental') {
+                apiParams.modifiedtime = cursor.date;
+            }
 
-        const data = await httpClient.getTourismData('locationBasedList', apiParams);
+            const data = await httpClient.getTourismData('areaBasedSyncList', apiParams);
+            const items = ApiResponseProcessor.extractItems(data);
+            const totalCount = data.response?.body?.totalCount || 0;
+            pagesFetched++;
 
-        const items = ApiResponseProcessor.extractItems(data);
-        const processedItems = items.map(item => ({
-            ...ApiResponseProcessor.processBasicItem(item, container),
-            dist: parseFloat(item.dist) || null
-        }));
+            cursor = SyncCursor.advance(cursor, {
+                itemCount: items.length,
+                totalCount,
+                today
+            });
 
-        const totalCount = data.response?.body?.totalCount || processedItems.length;
-        const apiTime = Date.now() - startTime;
+            const pageCounts = await mirror.appendPage(items, cursor);
+            Object.keys(counts).forEach(key => {
+                counts[key] += pageCounts[key];
+            });
 
-        const result = ResponseFormatter.formatSuccess('locationBasedList', {
-            items: processedItems,
-            searchCenter: {
-                lat: parseFloat(mapY),
-                lng: parseFloat(mapX),
-                radius: parseFloat(radius)
-            },
-            pagination: {
-                totalCount,
-                pageNo: parseInt(pageNo),
-                numOfRows: parseInt(numOfRows),
-                totalPages: Math.ceil(totalCount / parseInt(numOfRows)),
-                hasNext: (parseInt(pageNo) * parseInt(numOfRows)) < totalCount,
-                hasPrev: parseInt(pageNo) > 1
+            logger.debug('Sync page processed', { phase: cursor.phase, pageNo: cursor.pageNo, itemCount: items.length });
+
+            if (cursor.caughtUp) {
+                caughtUp = true;
+                break;
             }
+        }
+
+        mirror.state.lastRun = {
+            finishedAt: new Date().toISOString(),
+            pagesFetched,
+            ...counts,
+            caughtUp
+        };
+        await mirror.compact();
+
+        logger.metric('sync_run', 1, { pagesFetched, ...counts, caughtUp });
+
+        return ResponseFormatter.formatSuccess('sync', {
+            run: mirror.state.lastRun,
+            cursor: SyncCursor.encode(cursor),
+            cursorState: cursor,
+            hasMore: !caughtUp,
+            mirror: mirror.getStatus()
         }, {
-            operation: 'locationBasedList',
-            searchParams: { mapX, mapY, radius, contentTypeId },
-            itemCount: processedItems.length
+            operation: 'sync',
+            action: 'run',
+            maxPages
         }, {
-            apiResponseTime: apiTime,
             totalProcessingTime: Date.now() - startTime
         });
+    }
 
-        logger.metric('api_request_success', 1, { 
-            operation: 'locationBasedList',
-            itemCount: processedItems.length,
-            fromCache: false
-        });
+    static listFromMirror(container, params) {
+        const mirror = container.get('mirror');
+        const { numOfRows = '10', pageNo = '1', areaCode = '', sigunguCode = '', contentTypeId = '', cat3 = '' } = params;
 
-        return result;
-    }
+        const rows = parseInt(numOfRows);
+        const page = parseInt(pageNo);
+        const matched = mirror.query({ areaCode, sigunguCode, contentTypeId, cat3 });
+        const items = matched
+            .slice((page - 1) * rows, page * rows)
+            .map(item => ApiResponseProcessor.processBasicItem(item, container));
 
-    static calculateCompleteness(item) {
-        const fields = [
-            'title', 'addr1', 'tel', 'firstimage', 'mapx', 'mapy', 
-            'overview', 'homepage', 'cat1', 'cat2', 'cat3'
-        ];
-        
-        const filledFields = fields.filter(field => 
-            item[field] && item[field] !== '' && item[field] !== '0'
-        ).length;
-        
-        return Math.round((filledFields / fields.length) * 100);
+        return ResponseFormatter.formatSuccess('sync', {
+            items,
+            pagination: {
+                totalCount: matched.length,
+                pageNo: page,
+                numOfRows: rows,
+                totalPages: Math.ceil(matched.length / rows),
+                hasNext: page * rows < matched.length,
+                hasPrev: page > 1
+            },
+            searchInfo: {
+                params: { areaCode, sigunguCode, contentTypeId, cat3 },
+                source: 'mirror',
+                lastSyncAt: mirror.state.lastSyncAt
+            }
+        }, {
+            operation: 'sync',
+            action: 'list',
+            itemCount: items.length
+        });
     }
 
     static async handleBatchDetail(container, contentIds) {
@@ -2141,6 +4183,7 @@ container
     .register('rateLimiter', (container) => new RateLimiter(container))
     .register('validator', (container) => new InputValidator(container))
     .register('httpClient', (container) => new HttpClient(container))
+    .register('mirror', (container) => new ContentMirror(container))
     .register('security', (container) => new SecurityManager(container));
 
 container.initialize();
@@ -2227,9 +4270,24 @@ async function allTourismHandler(req, res) {
             case 'areaBasedList':
                 result = await AllTourismApiHandlers.handleAreaBasedList(container, params);
                 break;
+            case 'searchFestival':
+                result = await AllTourismApiHandlers.handleSearchFestival(container, params);
+                break;
+            case 'searchStay':
+                result = await AllTourismApiHandlers.handleSearchStay(container, params);
+                break;
             case 'detailCommon':
                 result = await AllTourismApiHandlers.handleDetailCommon(container, params);
                 break;
+            case 'detailIntro':
+                result = await AllTourismApiHandlers.handleDetailIntro(container, params);
+                break;
+            case 'detailInfo':
+                result = await AllTourismApiHandlers.handleDetailInfo(container, params);
+                break;
+            case 'detailImage':
+                result = await AllTourismApiHandlers.handleDetailImage(container, params);
+                break;
             case 'searchKeyword':
                 result = await AllTourismApiHandlers.handleSearchKeyword(container, params);
                 break;
@@ -2239,6 +4297,30 @@ async function allTourismHandler(req, res) {
             case 'batchDetail':
                 result = await AllTourismApiHandlers.handleBatchDetail(container, params.contentIds);
                 break;
+            case 'areaCode':
+                result = await AllTourismApiHandlers.handleAreaCode(container, params);
+                break;
+            case 'categoryCode':
+                result = await AllTourismApiHandlers.handleCategoryCode(container, params);
+                break;
+            case 'ldongCode':
+                result = await AllTourismApiHandlers.handleLdongCode(container, params);
+                break;
+            case 'lclsSystmCode':
+                result = await AllTourismApiHandlers.handleLclsSystmCode(container, params);
+                break;
+            case 'codes':
+                result = await AllTourismApiHandlers.handleCodes(container, params);
+                break;
+            case 'detailPetTour':
+                result = await AllTourismApiHandlers.handleDetailPetTour(container, params);
+                break;
+            case 'areaBasedSyncList':
+                result = await AllTourismApiHandlers.handleAreaBasedSyncList(container, params);
+                break;
+            case 'sync':
+                result = await AllTourismApiHandlers.handleSync(container, params, req);
+                break;
             default:
                 throw new ValidationError(`미구현 오퍼레이션: ${operation}`, 'operation', operation, i18n);
         }
@@ -2386,6 +4468,70 @@ function runTests() {
                 testRunner.assert(error instanceof ValidationError, 'Should throw ValidationError');
             }
         })
+        .addTest('Intro Normalization Test', () => {
+            const processed = ApiResponseProcessor.processIntroItem({
+                contentid: '1',
+                checkintime: '15:00',
+                roomcount: '24실',
+                sauna: '1',
+                chkcooking: '불가능'
+            }, '32', container);
+            testRunner.assert(processed.intro.checkInTime === '15:00', 'checkintime should map to checkInTime');
+            testRunner.assert(processed.intro.roomCount === 24, 'roomcount should be parsed as number');
+            testRunner.assert(processed.intro.sauna === true, 'sauna flag should be true');
+            testRunner.assert(processed.intro.cooking === false, 'cooking flag should be false');
+        })
+        .addTest('Event Status Test', () => {
+            testRunner.assert(EventDateUtils.getEventStatus('20250601', '20250610', '20250605') === 'ongoing', 'Should be ongoing');
+            testRunner.assert(EventDateUtils.getEventStatus('20250601', '20250610', '20250531') === 'upcoming', 'Should be upcoming');
+            testRunner.assert(EventDateUtils.getEventStatus('20250601', '20250610', '20250611') === 'ended', 'Should be ended');
+            testRunner.assert(EventDateUtils.daysBetween('20241231', '20250102') === 2, 'Should count days across years');
+        })
+        .addTest('Stay Certification Test', () => {
+            const hanok = ApiResponseProcessor.processStayCertifications({ cat3: 'B02011600' }, container);
+            const goodstay = ApiResponseProcessor.processStayCertifications({ cat3: 'B02010100', goodstay: '1' }, container);
+            testRunner.assert(hanok.hanok === true, 'Hanok should be detected from cat3');
+            testRunner.assert(hanok.goodstay === null, 'Goodstay should be unknown without a field');
+            testRunner.assert(goodstay.hanok === false && goodstay.goodstay === true, 'Goodstay should be read from field');
+        })
+        .addTest('Sync Cursor Test', () => {
+            const start = SyncCursor.initial('20250601', 10);
+            const nextPage = SyncCursor.advance(start, { itemCount: 10, totalCount: 25, today: '20250601' });
+            const incremental = SyncCursor.advance({ ...start, pageNo: 3 }, { itemCount: 5, totalCount: 25, today: '20250603' });
+            const nextDay = SyncCursor.advance(incremental, { itemCount: 0, totalCount: 0, today: '20250603' });
+            testRunner.assert(nextPage.phase === 'full' && nextPage.pageNo === 2, 'Should move to next full page');
+            testRunner.assert(incremental.phase === 'incremental' && incremental.date === '20250601', 'Should start incremental from full sync start');
+            testRunner.assert(nextDay.date === '20250602' && !nextDay.caughtUp, 'Should advance one day');
+            testRunner.assert(SyncCursor.decode(SyncCursor.encode(nextDay)).date === '20250602', 'Cursor should round-trip');
+        })
+        .addTest('Pet Policy Test', () => {
+            const processed = ApiResponseProcessor.processPetTourItem({
+                contentid: '1',
+                acmpyTypeCd: '일부구역 동반가능',
+                acmpyPsblCpam: '소형견 (10kg 이하)',
+                acmpyNeedMtr: '목줄 착용, 배변봉투 지참',
+                etcAcmpyInfo: '실내 동반 불가<br>1마리당 1만원 추가'
+            }, container);
+            testRunner.assert(processed.policy.allowed === true, 'Pets should be allowed');
+            testRunner.assert(processed.policy.access.indoor === false, 'Indoor should be denied');
+            testRunner.assert(processed.policy.size.maxWeightKg === 10, 'Should parse weight limit');
+            testRunner.assert(processed.policy.requiredItems.includes('leash'), 'Should require leash');
+            testRunner.assert(processed.policy.fees.amounts[0] === 10000, 'Should parse fee in won');
+        })
+        .addTest('Code Tree Test', () => {
+            const rows = AllTourismApiHandlers.mergeFlatCodeRows(
+                [{ rnum: 1, lDongRegnCd: '11', lDongRegnNm: '서울특별시', lDongSignguCd: '110', lDongSignguNm: '종로구' },
+                 { rnum: 2, lDongRegnCd: '11', lDongRegnNm: '서울특별시', lDongSignguCd: '140', lDongSignguNm: '중구' }],
+                [{ rnum: 1, lDongRegnCd: '11', lDongRegnNm: 'Seoul', lDongSignguCd: '110', lDongSignguNm: 'Jongno-gu' }]
+            );
+            const tree = AllTourismApiHandlers.buildTreeFromRows(rows, [
+                { code: 'lDongRegnCd', name: 'lDongRegnNm' },
+                { code: 'lDongSignguCd', name: 'lDongSignguNm' }
+            ]);
+            testRunner.assert(tree.length === 1 && tree[0].children.length === 2, 'Should group sigungu under region');
+            testRunner.assert(tree[0].nameEn === 'Seoul', 'Should carry English label');
+            testRunner.assert(tree[0].children[1].nameEn === null, 'Missing English label should be null');
+        })
         .addTest('Service Container Test', () => {
             testRunner.assert(container.isInitialized(), 'Container should be initialized');
             testRunner.assert(container.get('config') === configManager, 'Should return same config instance');
@@ -2412,10 +4558,13 @@ module.exports = {
     InputValidator,
     ResponseFormatter,
     ServiceContainer,
+    ContentMirror,
     TestRunner,
     
     // 유틸리티들
     GeoUtils,
+    EventDateUtils,
+    SyncCursor,
     ApiResponseProcessor,
     LanguageNegotiator,
     Semaphore
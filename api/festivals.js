@@ -1,19 +1,15 @@
-const AREA_CODES = {
-  '서울': 1, '부산': 6, '제주': 39, '강릉': 32,
-  '전주': 37, '대구': 4, '광주': 5, '대전': 3,
-  '인천': 2, '울산': 7, '경주': 35, '춘천': 32
-};
-
-const FESTIVAL_TYPES = [
-    '문화예술축제', '음식축제', '전통축제', '빛축제', '꽃축제', '음악축제',
-    '바다축제', '산악축제', '역사축제', '야간축제', '체험축제', '지역축제'
-];
-
-const FESTIVAL_ICONS = {
-    '문화예술축제': '🎭', '음식축제': '🍜', '전통축제': '🏮', '빛축제': '💡',
-    '꽃축제': '🌸', '음악축제': '🎵', '바다축제': '🌊', '산악축제': '⛰️',
-    '역사축제': '🏛️', '야간축제': '🌙', '체험축제': '🎪', '지역축제': '🎊'
-};
+const { REGIONS } = require('../lib/regions');
+const {
+    FESTIVAL_CATEGORIES,
+    FESTIVAL_PAGE_SIZE,
+    getFestivalApiKey,
+    fetchFestivalEvents,
+    parseFestivalFilters,
+    buildFestivalData,
+    describeFilters,
+    getEmptyFestivalData,
+    getKstToday
+} = require('../lib/festival-service');
 
 module.exports = async function handler(req, res) {
     res.setHeader('Access-Control-Allow-Origin', '*');
@@ -23,650 +19,99 @@ module.exports = async function handler(req, res) {
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
     }
-    
+
     try {
         const startTime = Date.now();
-        const { region = '서울', category = 'all', numOfRows = 10 } = req.query;
-        
-        console.log('🎪 === 축제 API 완벽 버전 시작 ===');
+        const { numOfRows = 10, category = 'all' } = req.query;
+        const region = req.query.city || req.query.region || '서울';
+        const limit = Math.min(Math.max(parseInt(numOfRows) || 10, 1), FESTIVAL_PAGE_SIZE);
+
+        console.log('🎪 === 축제 API 시작 ===');
         console.log('📅 현재 시간:', new Date().toLocaleString('ko-KR'));
         console.log('🗺️ 요청 지역:', region);
         console.log('🏷️ 카테고리:', category);
 
-        // API 키 확인 (tourism과 동일한 우선순위)
-        const possibleKeys = [
-            process.env.JEONBUK_API_KEY,
-            process.env.TOURISM_API_KEY,
-            process.env.TOUR_API_KEY,
-            process.env.WEATHER_API_KEY,
-            process.env.REGIONAL_API_KEY
-        ];
-
-        console.log('🔑 환경변수 체크:', {
-            JEONBUK_API_KEY: !!process.env.JEONBUK_API_KEY,
-            TOURISM_API_KEY: !!process.env.TOURISM_API_KEY,
-            TOUR_API_KEY: !!process.env.TOUR_API_KEY,
-            WEATHER_API_KEY: !!process.env.WEATHER_API_KEY,
-            REGIONAL_API_KEY: !!process.env.REGIONAL_API_KEY
-        });
+        const apiKey = getFestivalApiKey();
 
-        const apiKey = possibleKeys.find(key => key);
-        
         if (!apiKey) {
             console.log('❌ API 키 없음');
-            return res.status(200).json({
-                success: true,
-                data: getHighQualityFestivalData(region),
-                message: '⚠️ 축제 API 키 설정 필요',
+            return res.status(503).json({
+                success: false,
+                dataAvailable: false,
+                data: getEmptyFestivalData(region),
+                message: '⚠️ 축제 API 키가 설정되지 않아 실제 축제 정보를 제공할 수 없습니다',
                 responseTime: `${Date.now() - startTime}ms`,
                 timestamp: new Date().toISOString()
             });
         }
 
-        console.log('✅ API 키 발견:', `${apiKey.substring(0, 10)}...`);
-
-        // 전북 지역 특별 처리
-        if (isJeonbukRegion(region)) {
-            console.log('🔄 전북 축제 전용 처리...');
-            const jeonbukResult = await handleJeonbukFestivals(region);
-            if (jeonbukResult.success) {
-                const responseTime = Date.now() - startTime;
-                return res.status(200).json({
-                    ...jeonbukResult,
-                    responseTime: `${responseTime}ms`
-                });
-            }
+        const today = getKstToday();
+        let filters;
+        try {
+            filters = parseFestivalFilters(req.query, region, category, today);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                dataAvailable: false,
+                error: error.code || 'INVALID_FILTER',
+                message: error.message,
+                supportedRegions: error.code === 'UNSUPPORTED_REGION' ? ['all', ...Object.keys(REGIONS)] : undefined,
+                supportedCategories: error.code === 'UNSUPPORTED_CATEGORY' ? ['all', ...Object.keys(FESTIVAL_CATEGORIES)] : undefined,
+                timestamp: new Date().toISOString()
+            });
         }
 
-        // === 관광지→축제 변환 처리 ===
-        console.log('🎯 관광지→축제 변환 시작...');
-        const festivalResult = await convertTourismToFestivals(apiKey, region, parseInt(numOfRows));
+        console.log('🔎 적용 필터:', filters);
 
+        const festivalResult = await fetchFestivalEvents(apiKey, {
+            areaCode: filters.areaCode,
+            sigunguCode: filters.sigunguCode,
+            eventStartDate: filters.range ? filters.range.start : today,
+            eventEndDate: filters.range ? filters.range.end : null
+        });
         const responseTime = Date.now() - startTime;
 
-        if (festivalResult.success) {
-            console.log('🎉 축제 변환 성공!');
-            return res.status(200).json({
-                success: true,
-                data: festivalResult.data,
-                message: `🎪 ${region} 실시간 축제 정보! (관광지 기반)`,
-                method: festivalResult.method,
-                realTime: true,
+        if (!festivalResult.success) {
+            console.log('⚠️ 축제 API 실패 - 실제 데이터 없음');
+            return res.status(502).json({
+                success: false,
+                dataAvailable: false,
+                data: getEmptyFestivalData(region),
+                message: `⚠️ ${region} 실제 축제 정보를 가져오지 못했습니다`,
+                error: festivalResult.error,
                 responseTime: `${responseTime}ms`,
                 timestamp: new Date().toISOString()
             });
         }
 
-        // 실패시 고품질 백업 데이터
-        console.log('⚠️ 축제 변환 실패 - 고품질 백업 데이터 제공');
+        const data = buildFestivalData(festivalResult, filters, today, limit);
+        console.log('🎉 축제 조회 성공:', data.stats);
+
         return res.status(200).json({
             success: true,
-            data: getHighQualityFestivalData(region),
-            message: `🎪 ${region} 축제 정보 (고품질 백업)`,
-            realTime: false,
+            dataAvailable: true,
+            data,
+            message: data.stats.total > 0 ?
+                `🎪 ${filters.regionName} 실시간 축제 정보` :
+                `🎪 ${filters.regionName} 지역에 조건에 맞는 축제가 없습니다`,
+            ...(data.stats.truncated && {
+                warning: `⚠️ 조회 상한으로 ${data.stats.apiTotalCount}건 중 ${data.stats.fetched}건만 반영했습니다. 기간이나 지역을 좁혀 주세요`
+            }),
+            filters: describeFilters(filters),
+            source: 'KTO searchFestival2',
+            realTime: true,
             responseTime: `${responseTime}ms`,
-            timestamp: new Date().toISOString(),
-            debug: festivalResult.debug
+            timestamp: new Date().toISOString()
         });
 
     } catch (error) {
         console.error('❌ 축제 API 오류:', error);
         return res.status(500).json({
             success: false,
+            dataAvailable: false,
             error: 'Internal Server Error',
             message: '🎪 축제 정보 서비스 일시 중단',
             timestamp: new Date().toISOString()
         });
     }
 };
-
-// === 전북 지역 확인 ===
-function isJeonbukRegion(region) {
-    const jeonbukRegions = ['전북', '전주', '군산', '익산', '정읍', '남원', '김제'];
-    return jeonbukRegions.includes(region);
-}
-
-// === 전북 축제 처리 ===
-async function handleJeonbukFestivals(region) {
-    try {
-        console.log('📞 전북 축제 API 호출...');
-        
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 20000);
-        
-        const response = await fetch(`https://healingk.vercel.app/api/jeonbuk-tourism?region=${region}`, {
-            method: 'GET',
-            headers: {
-                'Accept': 'application/json',
-                'User-Agent': 'HealingK-Festival/1.0'
-            },
-            signal: controller.signal
-        });
-        
-        clearTimeout(timeoutId);
-        
-        if (response.ok) {
-            const data = await response.json();
-            if (data && data.success) {
-                console.log('✅ 전북 축제 API 성공');
-                // 전북 관광지를 축제로 변환
-                return {
-                    success: true,
-                    data: convertJeonbukToFestivals(data.data),
-                    message: `🎪 ${region} 실시간 축제 정보! (전북 API)`,
-                    method: 'jeonbuk_festivals',
-                    realTime: true
-                };
-            }
-        }
-        
-        console.log('❌ 전북 축제 API 실패');
-        return { success: false };
-    } catch (error) {
-        console.log('❌ 전북 축제 API 오류:', error.message);
-        return { success: false };
-    }
-}
-
-// === 관광지→축제 변환 핵심 함수 ===
-async function convertTourismToFestivals(apiKey, region, numOfRows) {
-    try {
-        const areaCode = AREA_CODES[region] || 1;
-        
-        console.log(`🔍 ${region} (지역코드: ${areaCode}) 관광지 데이터 수집...`);
-
-        // tourism API와 동일한 다중 전략 시도
-        const strategies = [
-            // 전략 1: Service2 지역 기반 (tourism 성공 방식)
-            {
-                name: 'service2_area_tourism',
-                url: 'https://apis.data.go.kr/B551011/KorService2/areaBasedList2',
-                params: {
-                    serviceKey: apiKey,
-                    numOfRows: numOfRows,
-                    pageNo: 1,
-                    MobileOS: 'ETC',
-                    MobileApp: 'HealingK',
-                    _type: 'json',
-                    contentTypeId: 12, // 관광지
-                    areaCode: areaCode
-                }
-            },
-            // 전략 2: Service2 문화시설
-            {
-                name: 'service2_culture',
-                url: 'https://apis.data.go.kr/B551011/KorService2/areaBasedList2',
-                params: {
-                    serviceKey: apiKey,
-                    numOfRows: numOfRows,
-                    pageNo: 1,
-                    MobileOS: 'ETC',
-                    MobileApp: 'HealingK',
-                    _type: 'json',
-                    contentTypeId: 14, // 문화시설
-                    areaCode: areaCode
-                }
-            },
-            // 전략 3: Service2 축제공연행사 (진짜 축제!)
-            {
-                name: 'service2_real_festivals',
-                url: 'https://apis.data.go.kr/B551011/KorService2/areaBasedList2',
-                params: {
-                    serviceKey: apiKey,
-                    numOfRows: numOfRows,
-                    pageNo: 1,
-                    MobileOS: 'ETC',
-                    MobileApp: 'HealingK',
-                    _type: 'json',
-                    contentTypeId: 15, // 축제공연행사
-                    areaCode: areaCode
-                }
-            },
-            // 전략 4: Service1 백업 (tourism 방식)
-            {
-                name: 'service1_backup',
-                url: 'https://apis.data.go.kr/B551011/KorService1/areaBasedList1',
-                params: {
-                    serviceKey: apiKey,
-                    numOfRows: numOfRows,
-                    pageNo: 1,
-                    MobileOS: 'ETC',
-                    MobileApp: 'HealingK',
-                    _type: 'json',
-                    listYN: 'Y',
-                    arrange: 'A',
-                    contentTypeId: 12,
-                    areaCode: areaCode
-                }
-            }
-        ];
-
-        // 각 전략 순차 시도
-        for (const strategy of strategies) {
-            console.log(`🎯 전략 시도: ${strategy.name}`);
-            
-            const result = await tryFestivalStrategy(strategy, region);
-            if (result.success) {
-                console.log(`✅ ${strategy.name} 성공!`);
-                return result;
-            }
-            
-            console.log(`❌ ${strategy.name} 실패`);
-            
-            // 전략 간 딜레이
-            await sleep(500);
-        }
-
-        return { 
-            success: false, 
-            method: 'all_festival_strategies_failed',
-            debug: '모든 축제 변환 전략 실패'
-        };
-
-    } catch (error) {
-        console.log('❌ 축제 변환 전체 오류:', error.message);
-        return { success: false, method: 'festival_conversion_error', error: error.message };
-    }
-}
-
-// === 축제 전략 실행 ===
-async function tryFestivalStrategy(strategy, region) {
-    try {
-        const params = new URLSearchParams(strategy.params);
-        const fullUrl = `${strategy.url}?${params.toString()}`;
-        
-        console.log(`📡 축제 요청: ${strategy.name}`);
-        console.log(`🔗 URL: ${fullUrl.substring(0, 100)}...`);
-
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 15000);
-
-        const response = await fetch(fullUrl, {
-            method: 'GET',
-            headers: {
-                'Accept': 'application/json, application/xml, text/xml, */*',
-                'User-Agent': 'HealingK-Festival/1.0',
-                'Cache-Control': 'no-cache'
-            },
-            signal: controller.signal
-        });
-
-        clearTimeout(timeoutId);
-
-        console.log(`📊 축제 응답:`, {
-            status: response.status,
-            ok: response.ok,
-            contentType: response.headers.get('content-type')
-        });
-
-        if (!response.ok) {
-            return { success: false, error: `HTTP ${response.status}` };
-        }
-
-        const contentType = response.headers.get('content-type') || '';
-        
-        if (contentType.includes('application/json')) {
-            return await handleFestivalJSONResponse(response, strategy.name, region);
-        } else {
-            return await handleFestivalXMLResponse(response, strategy.name, region);
-        }
-
-    } catch (error) {
-        console.log(`❌ ${strategy.name} 실행 오류:`, error.message);
-        return { success: false, error: error.message };
-    }
-}
-
-// === 축제 JSON 응답 처리 ===
-async function handleFestivalJSONResponse(response, strategyName, region) {
-    try {
-        const data = await response.json();
-        console.log(`📦 축제 JSON 응답 (${strategyName}):`, JSON.stringify(data, null, 2).substring(0, 300));
-        
-        const resultCode = data.response?.header?.resultCode || 
-                          data.resultCode || 
-                          data.code;
-        
-        console.log(`📊 축제 결과 코드 (${strategyName}):`, resultCode);
-        
-        if (resultCode === '0000' || resultCode === '00' || resultCode === '0') {
-            const items = data.response?.body?.items?.item || 
-                         data.items || 
-                         data.data || 
-                         data.result;
-            
-            if (items && (Array.isArray(items) ? items.length > 0 : true)) {
-                console.log(`🎉 축제 데이터 발견 (${strategyName}):`, Array.isArray(items) ? items.length : 1, '개');
-                
-                return {
-                    success: true,
-                    method: strategyName,
-                    data: transformToFestivalFormat(items, region, strategyName)
-                };
-            }
-        }
-        
-        const errorMsg = data.response?.header?.resultMsg || 
-                        data.resultMsg || 
-                        data.message || 
-                        '알 수 없는 오류';
-        
-        console.log(`❌ 축제 JSON 오류 (${strategyName}):`, errorMsg);
-        return { success: false, error: errorMsg };
-        
-    } catch (error) {
-        console.log(`❌ 축제 JSON 파싱 오류 (${strategyName}):`, error.message);
-        return { success: false, error: 'JSON 파싱 실패' };
-    }
-}
-
-// === 축제 XML 응답 처리 ===
-async function handleFestivalXMLResponse(response, strategyName, region) {
-    try {
-        const text = await response.text();
-        console.log(`📄 축제 XML 응답 (${strategyName}) 길이:`, text.length);
-        
-        if (text.includes('<resultCode>00</resultCode>') || text.includes('<resultCode>0000</resultCode>')) {
-            console.log(`✅ 축제 XML 성공 코드 발견 (${strategyName})`);
-            
-            // XML에서 데이터 추출
-            const titleMatches = text.match(/<title><!\[CDATA\[(.*?)\]\]><\/title>/g);
-            const addrMatches = text.match(/<addr1><!\[CDATA\[(.*?)\]\]><\/addr1>/g);
-            const imageMatches = text.match(/<firstimage><!\[CDATA\[(.*?)\]\]><\/firstimage>/g);
-            const idMatches = text.match(/<contentid>(\d+)<\/contentid>/g);
-            const telMatches = text.match(/<tel><!\[CDATA\[(.*?)\]\]><\/tel>/g);
-            
-            if (titleMatches && titleMatches.length > 0) {
-                const xmlItems = titleMatches.map((titleMatch, index) => {
-                    const title = titleMatch.replace(/<title><!\[CDATA\[/, '').replace(/\]\]><\/title>/, '');
-                    const addr1 = addrMatches?.[index]?.replace(/<addr1><!\[CDATA\[/, '').replace(/\]\]><\/addr1>/, '') || '';
-                    const firstimage = imageMatches?.[index]?.replace(/<firstimage><!\[CDATA\[/, '').replace(/\]\]><\/firstimage>/, '') || '';
-                    const contentid = idMatches?.[index]?.replace(/<contentid>/, '').replace(/<\/contentid>/, '') || `xml_${index}`;
-                    const tel = telMatches?.[index]?.replace(/<tel><!\[CDATA\[/, '').replace(/\]\]><\/tel>/, '') || '';
-                    
-                    return { title, addr1, firstimage, contentid, tel };
-                });
-                
-                console.log(`🎉 축제 XML 데이터 추출 성공 (${strategyName}):`, xmlItems.length, '개');
-                
-                return {
-                    success: true,
-                    method: `${strategyName}_xml`,
-                    data: transformToFestivalFormat(xmlItems, region, strategyName)
-                };
-            }
-        }
-        
-        console.log(`❌ 축제 XML 오류 또는 데이터 없음 (${strategyName})`);
-        return { success: false, error: 'XML 데이터 없음' };
-        
-    } catch (error) {
-        console.log(`❌ 축제 XML 처리 오류 (${strategyName}):`, error.message);
-        return { success: false, error: 'XML 처리 실패' };
-    }
-}
-
-// === 관광지를 축제 형식으로 변환 ===
-function transformToFestivalFormat(items, region, method) {
-    const itemsArray = Array.isArray(items) ? items : [items];
-    
-    console.log(`🔄 축제 변환 시작: ${itemsArray.length}개 항목 → 축제`);
-
-    // 관광지를 축제로 창의적 변환
-    const festivals = itemsArray.slice(0, 8).map((item, index) => {
-        const festivalType = FESTIVAL_TYPES[index % FESTIVAL_TYPES.length];
-        const festivalIcon = FESTIVAL_ICONS[festivalType] || '🎪';
-        
-        // 축제 이름 생성
-        const originalTitle = item.title || `${region} 관광지`;
-        const festivalTitle = `${festivalIcon} ${originalTitle} ${festivalType}`;
-        
-        // 상태 결정 (절반은 진행중, 절반은 예정)
-        const status = index % 2 === 0 ? 'ongoing' : 'upcoming';
-        
-        // 날짜 생성
-        const today = new Date();
-        const startDate = new Date(today);
-        const endDate = new Date(today);
-        
-        if (status === 'ongoing') {
-            startDate.setDate(today.getDate() - Math.floor(Math.random() * 10) - 1);
-            endDate.setDate(today.getDate() + Math.floor(Math.random() * 20) + 10);
-        } else {
-            startDate.setDate(today.getDate() + Math.floor(Math.random() * 30) + 3);
-            endDate.setDate(startDate.getDate() + Math.floor(Math.random() * 15) + 7);
-        }
-
-        return {
-            id: item.contentid || `festival_${Date.now()}_${index}`,
-            title: festivalTitle,
-            location: item.addr1 || item.address || `${region} 지역`,
-            region: region,
-            startDate: formatDate(startDate),
-            endDate: formatDate(endDate),
-            status: status,
-            isThisWeekend: index < 3, // 처음 3개는 주말 축제
-            tel: item.tel || getRegionPhone(region),
-            category: festivalType,
-            mapx: item.mapx || item.longitude,
-            mapy: item.mapy || item.latitude,
-            image: validateImageUrl(item.firstimage || item.image),
-            daysLeft: status === 'ongoing' ? '진행중' : `${Math.floor(Math.random() * 20) + 5}일 후`,
-            description: generateFestivalDescription(originalTitle, region, festivalType),
-            originalData: {
-                source: method,
-                originalTitle: originalTitle,
-                contentType: item.contentTypeId || 'unknown'
-            }
-        };
-    });
-
-    // 축제 분류
-    const ongoing = festivals.filter(f => f.status === 'ongoing');
-    const upcoming = festivals.filter(f => f.status === 'upcoming');
-    const thisWeekend = festivals.filter(f => f.isThisWeekend);
-
-    const result = {
-        ongoing,
-        upcoming,
-        thisWeekend,
-        stats: {
-            total: festivals.length,
-            ongoing: ongoing.length,
-            upcoming: upcoming.length,
-            thisWeekend: thisWeekend.length,
-            regions: 1,
-            method: method,
-            conversionSource: 'tourism_to_festival'
-        }
-    };
-
-    console.log(`✅ 축제 변환 완료:`, result.stats);
-    return result;
-}
-
-// === 전북 데이터를 축제로 변환 ===
-function convertJeonbukToFestivals(jeonbukData) {
-    const attractions = jeonbukData.ongoing || [];
-    
-    const festivals = attractions.slice(0, 6).map((item, index) => {
-        const festivalType = FESTIVAL_TYPES[index % FESTIVAL_TYPES.length];
-        const festivalIcon = FESTIVAL_ICONS[festivalType] || '🎪';
-        
-        return {
-            id: item.id || `jeonbuk_festival_${index}`,
-            title: `${festivalIcon} ${item.title} ${festivalType}`,
-            location: item.location || '전북 지역',
-            region: item.region || '전북',
-            startDate: item.startDate || '2025.06.01',
-            endDate: item.endDate || '2025.06.30',
-            status: index % 2 === 0 ? 'ongoing' : 'upcoming',
-            isThisWeekend: index < 3,
-            tel: item.tel || '063-281-2114',
-            category: festivalType,
-            mapx: item.mapx,
-            mapy: item.mapy,
-            daysLeft: index % 2 === 0 ? '진행중' : `${Math.floor(Math.random() * 15) + 5}일 후`,
-            description: generateFestivalDescription(item.title, '전북', festivalType)
-        };
-    });
-
-    const ongoing = festivals.filter(f => f.status === 'ongoing');
-    const upcoming = festivals.filter(f => f.status === 'upcoming');
-    const thisWeekend = festivals.filter(f => f.isThisWeekend);
-
-    return {
-        ongoing,
-        upcoming,
-        thisWeekend,
-        stats: {
-            total: festivals.length,
-            ongoing: ongoing.length,
-            upcoming: upcoming.length,
-            thisWeekend: thisWeekend.length,
-            regions: 1
-        }
-    };
-}
-
-// === 유틸리티 함수들 ===
-
-function formatDate(date) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}.${month}.${day}`;
-}
-
-function getRegionPhone(region) {
-    const phones = {
-        '서울': '02-120', '부산': '051-120', '대구': '053-120', '인천': '032-120',
-        '광주': '062-120', '대전': '042-120', '울산': '052-120', '제주': '064-120',
-        '강릉': '033-640-5114', '전주': '063-281-2114', '경주': '054-779-6394',
-        '춘천': '033-250-3000'
-    };
-    return phones[region] || '1330';
-}
-
-function validateImageUrl(url) {
-    if (!url || url === '') return null;
-    if (url.startsWith('http')) return url;
-    return null;
-}
-
-function generateFestivalDescription(title, region, festivalType) {
-    const descriptions = [
-        `${region}의 대표적인 ${festivalType}로, ${title} 주변에서 펼쳐지는 특별한 문화 행사입니다.`,
-        `${title}에서 열리는 ${festivalType}는 ${region} 지역의 전통과 현대가 어우러진 매력적인 축제입니다.`,
-        `${region} ${festivalType}의 하이라이트! ${title}에서 즐기는 특별한 문화 체험을 만나보세요.`,
-        `${title} 일대에서 개최되는 ${festivalType}로, 가족과 함께 즐길 수 있는 다양한 프로그램이 준비되어 있습니다.`,
-        `${region}의 아름다운 ${title}를 배경으로 펼쳐지는 ${festivalType} 축제에 여러분을 초대합니다.`
-    ];
-    return descriptions[Math.floor(Math.random() * descriptions.length)];
-}
-
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-// === 고품질 백업 축제 데이터 ===
-function getHighQualityFestivalData(region) {
-    const regionalFestivals = {
-        '서울': [
-            {
-                id: 'seoul_001',
-                title: '🎪 서울 한강 여름축제 2025',
-                location: '한강공원 여의도구간',
-                region: '서울',
-                startDate: '2025.06.01',
-                endDate: '2025.08.31',
-                status: 'ongoing',
-                isThisWeekend: true,
-                tel: '02-3780-0561',
-                category: '야외축제',
-                daysLeft: '진행중',
-                description: '한강에서 펼쳐지는 여름 대표 축제로 다양한 수상 레포츠와 문화 공연을 즐길 수 있습니다.',
-                image: 'https://images.unsplash.com/photo-1533174072545-7a4b6ad7a6c3?w=500'
-            },
-            {
-                id: 'seoul_002', 
-                title: '🎭 서울 문화의 밤',
-                location: '광화문광장',
-                region: '서울',
-                startDate: '2025.06.15',
-                endDate: '2025.06.30',
-                status: 'upcoming',
-                isThisWeekend: false,
-                tel: '02-120',
-                category: '문화축제',
-                daysLeft: '14일 후',
-                description: '서울의 역사와 문화를 조명하는 야간 문화축제입니다.',
-                image: 'https://images.unsplash.com/photo-1492684223066-81342ee5ff30?w=500'
-            },
-            {
-                id: 'seoul_003',
-                title: '🌸 서울 벚꽃축제',
-                location: '여의도공원',
-                region: '서울',
-                startDate: '2025.06.05',
-                endDate: '2025.06.20',
-                status: 'ongoing',
-                isThisWeekend: true,
-                tel: '02-780-0561',
-                category: '꽃축제',
-                daysLeft: '진행중',
-                description: '서울의 봄을 대표하는 벚꽃축제로 아름다운 벚꽃 터널을 감상할 수 있습니다.'
-            }
-        ],
-        '부산': [
-            {
-                id: 'busan_001',
-                title: '🌊 부산 바다축제',
-                location: '해운대해수욕장',
-                region: '부산',
-                startDate: '2025.06.01',
-                endDate: '2025.07.15',
-                status: 'ongoing',
-                isThisWeekend: true,
-                tel: '051-749-4000',
-                category: '해양축제',
-                daysLeft: '진행중',
-                description: '부산의 아름다운 바다를 배경으로 하는 해양 축제입니다.',
-                image: 'https://images.unsplash.com/photo-1559827260-dc66d52bef19?w=500'
-            },
-            {
-                id: 'busan_002',
-                title: '🎵 부산 국제음악축제',
-                location: '부산시민공원',
-                region: '부산',
-                startDate: '2025.06.20',
-                endDate: '2025.06.25',
-                status: 'upcoming',
-                isThisWeekend: false,
-                tel: '051-888-5000',
-                category: '음악축제',
-                daysLeft: '19일 후',
-                description: '세계 각국의 음악가들이 참여하는 국제 음악축제입니다.'
-            }
-        ]
-    };
-
-    const festivals = regionalFestivals[region] || regionalFestivals['서울'];
-    const ongoing = festivals.filter(f => f.status === 'ongoing');
-    const upcoming = festivals.filter(f => f.status === 'upcoming');
-    const thisWeekend = festivals.filter(f => f.isThisWeekend);
-
-    return {
-        ongoing,
-        upcoming,
-        thisWeekend,
-        stats: {
-            total: festivals.length,
-            ongoing: ongoing.length,
-            upcoming: upcoming.length,
-            thisWeekend: thisWeekend.length,
-            regions: 1,
-            source: 'high_quality_backup'
-        }
-    };
-}
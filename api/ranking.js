@@ -1,48 +1,67 @@
+const { REGIONS } = require('../lib/regions');
+const {
+  MIN_RANKING_COMPLETENESS,
+  resolveRankingRegions,
+  computeRanking
+} = require('../lib/ranking-service');
+
 module.exports = async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
-  
+
   try {
-    const regions = ['서울', '부산', '제주', '강릉', '전주', '대구', '광주', '대전'];
-    const baseUrl = req.headers.host ? `https://${req.headers.host}` : '';
-    
-    const promises = regions.map(async region => {
-      try {
-        const axios = require('axios');
-        const response = await axios.get(`${baseUrl}/api/combined?region=${region}`, { timeout: 5000 });
-        return response.data.data;
-      } catch (error) {
-        return {
-          region,
-          score: Math.floor(Math.random() * 50) + 30,
-          grade: 'C',
-          factors: ['데이터 없음'],
-          recommendation: '정보 부족'
-        };
-      }
-    });
+    const selection = resolveRankingRegions(req.query);
+    if (selection.error) {
+      return res.status(400).json({
+        success: false,
+        error: selection.error,
+        message: selection.message,
+        supportedRegions: Object.keys(REGIONS)
+      });
+    }
+    const { regions, top } = selection;
 
-    const results = await Promise.all(promises);
-    
-    // 점수순으로 정렬
-    const ranking = results
-      .filter(item => item && item.region)
-      .sort((a, b) => (b.score || 0) - (a.score || 0))
+    // 조회에 실패한 지역은 점수를 지어내지 않고 순위에서 뺀다 (unranked)
+    const { results, ranked, unranked, completeness } = await computeRanking(regions);
+
+    const ranking = ranked
+      .slice(0, top || ranked.length)
       .map((item, index) => ({
         rank: index + 1,
         region: item.region,
-        score: item.score || 0,
-        grade: item.grade || 'F',
-        factors: item.factors || [],
-        recommendation: item.recommendation || '정보 없음',
-        weather: item.weather ? `${item.weather.temperature}°C ${item.weather.sky}` : '정보 없음',
-        airQuality: item.airQuality ? item.airQuality.status : '정보 없음'
+        score: item.score,
+        grade: item.grade,
+        factors: item.factors,
+        recommendation: item.recommendation,
+        weather: formatWeatherSummary(item.weather),
+        airQuality: item.airQuality ? item.airQuality.status : '정보 없음',
+        dataCompleteness: item.scoring.coverage,
+        partial: item.failedSources.length > 0,
+        failedSources: item.failedSources
       }));
 
+    // 랭킹 기록은 예약 실행(/api/ranking/snapshot)만 남긴다. 공개 요청은 저장소에 쓰지 않는다
     return res.json({
       success: true,
       data: ranking,
+      unranked,
       totalRegions: ranking.length,
-      message: '🏆 실시간 관광지 랭킹',
+      selection: {
+        regions,
+        province: selection.province,
+        top
+      },
+      dataCompleteness: {
+        ratio: Math.round(completeness * 100) / 100,
+        requested: results.length,
+        ranked: ranked.length,
+        complete: ranked.filter(item => !item.failedSources.length).length,
+        partial: ranked.filter(item => item.failedSources.length).length,
+        unranked: unranked.length,
+        minimum: MIN_RANKING_COMPLETENESS
+      },
+      message: unranked.length
+        ? `🏆 실시간 관광지 랭킹 (데이터 부족 ${unranked.length}개 지역 제외)`
+        : '🏆 실시간 관광지 랭킹',
       time: new Date().toLocaleString('ko-KR')
     });
 
@@ -54,3 +73,11 @@ module.exports = async function handler(req, res) {
     });
   }
 };
+
+function formatWeatherSummary(weather) {
+  const parts = [
+    typeof weather?.temperature === 'number' ? `${weather.temperature}°C` : null,
+    weather?.sky || null
+  ].filter(Boolean);
+  return parts.length ? parts.join(' ') : '정보 없음';
+}
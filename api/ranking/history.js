@@ -0,0 +1,257 @@
+const { findRegion } = require('../../lib/regions');
+const { readSnapshots, toKstDate, shiftDate } = require('../../lib/ranking-store');
+const { resolveRankingRegions, getSnapshotKey } = require('../../lib/ranking-service');
+
+const DEFAULT_HISTORY_DAYS = 7;
+const MAX_HISTORY_DAYS = 92;
+const HISTORY_VIEWS = ['snapshots', 'trend'];
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  try {
+    const view = req.query.view || 'snapshots';
+    if (!HISTORY_VIEWS.includes(view)) {
+      return res.status(400).json({
+        success: false,
+        error: 'UNSUPPORTED_VIEW',
+        message: `지원하지 않는 view입니다: ${view}`,
+        supportedViews: HISTORY_VIEWS
+      });
+    }
+
+    let region = null;
+    if (req.query.region) {
+      const entry = findRegion(req.query.region);
+      if (!entry) {
+        return res.status(400).json({
+          success: false,
+          error: 'UNSUPPORTED_REGION',
+          message: `지원하지 않는 지역입니다: ${req.query.region}`
+        });
+      }
+      region = entry.name;
+    }
+
+    // 랭킹과 같은 regions/province로 어떤 지역 구성의 기록을 볼지 고른다.
+    // 구성 없이 region만 주면 그 지역이 들어간 기록을 구성과 관계없이 모으고, 둘 다 없으면 기본 지역이다
+    const bySet = Boolean(req.query.regions || req.query.province || !region);
+    const selection = bySet
+      ? resolveRankingRegions({ regions: req.query.regions, province: req.query.province })
+      : { regions: null, province: null };
+    if (selection.error) {
+      return res.status(400).json({ success: false, error: selection.error, message: selection.message });
+    }
+
+    const range = resolveHistoryRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, error: range.error, message: range.message });
+    }
+
+    const key = bySet ? getSnapshotKey(selection.regions) : null;
+    const snapshots = selectSnapshots(await readSnapshots(range), snapshot => (bySet
+      ? snapshot.key === key
+      : snapshot.key.split(',').includes(region)));
+    const points = collectRegionPoints(snapshots, region);
+
+    return res.json({
+      success: true,
+      data: {
+        region,
+        regions: selection.regions,
+        province: selection.province,
+        from: range.from,
+        to: range.to,
+        view,
+        snapshotCount: snapshots.length,
+        ...(view === 'trend'
+          ? { trend: buildTrend(points, range.to) }
+          : { history: points })
+      },
+      message: snapshots.length
+        ? `📈 ${region || '전체 지역'} 랭킹 기록 (${range.from} ~ ${range.to})`
+        : `📈 ${range.from} ~ ${range.to} 기간에 저장된 랭킹 기록이 없습니다`,
+      time: new Date().toLocaleString('ko-KR')
+    });
+
+  } catch (error) {
+    console.error('❌ 랭킹 기록 조회 오류:', error.message);
+    const isServiceError = error.name === 'ServiceError';
+    return res.status(isServiceError ? error.status : 500).json({
+      success: false,
+      error: isServiceError ? error.code : 'HISTORY_UNAVAILABLE',
+      message: `랭킹 기록을 읽을 수 없습니다: ${error.message}`
+    });
+  }
+};
+
+// from/to는 YYYY-MM-DD 또는 YYYYMMDD. 없으면 오늘(KST)까지 최근 7일
+function resolveHistoryRange(query, now = new Date()) {
+  const to = query.to ? normalizeDate(query.to) : toKstDate(now.toISOString());
+  const from = query.from ? normalizeDate(query.from) : to && shiftDate(to, -(DEFAULT_HISTORY_DAYS - 1));
+
+  if (!from || !to) {
+    return { error: 'INVALID_DATE', message: '날짜는 YYYYMMDD 또는 YYYY-MM-DD 형식이어야 합니다' };
+  }
+  if (from > to) {
+    return { error: 'INVALID_DATE', message: '종료일은 시작일보다 빠를 수 없습니다' };
+  }
+  if (shiftDate(from, MAX_HISTORY_DAYS - 1) < to) {
+    return { error: 'RANGE_TOO_LONG', message: `한 번에 ${MAX_HISTORY_DAYS}일까지 조회할 수 있습니다` };
+  }
+  return { from, to };
+}
+
+function normalizeDate(value) {
+  const match = String(value).trim().match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+  if (!match) return null;
+  // 2월 30일처럼 넘어가는 날짜는 거른다
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().startsWith(date) ? date : null;
+}
+
+// 조건에 맞는 스냅샷만 남긴다. 구성(key)으로 고르면 구성이 다른 기록(순위·표본이 다르다)은 섞지 않는다.
+// 같은 시각의 기록은 하나만 센다 (예약 실행은 한 번에 여러 구성을 같은 시각으로 남기므로
+// region만으로 고를 때 한 지역이 여러 구성에 들어 있어도 점이 겹치지 않는다)
+function selectSnapshots(snapshots, matches) {
+  const seen = new Set();
+  return snapshots.filter(snapshot => {
+    if (!matches(snapshot) || seen.has(snapshot.takenAt)) return false;
+    seen.add(snapshot.takenAt);
+    return true;
+  });
+}
+
+// 스냅샷 → 지역별 시계열 { 서울: [{ takenAt, score, ... }] }
+function collectRegionPoints(snapshots, region) {
+  const points = {};
+  snapshots.forEach(snapshot => {
+    snapshot.regions
+      .filter(entry => !region || entry.region === region)
+      .forEach(entry => {
+        (points[entry.region] = points[entry.region] || []).push({
+          takenAt: snapshot.takenAt,
+          score: entry.score,
+          grade: entry.grade,
+          // 순위는 이 지역 구성(set) 안에서의 순위다
+          rank: entry.rank,
+          set: snapshot.key,
+          dataCompleteness: entry.dataCompleteness
+        });
+      });
+  });
+  return points;
+}
+
+// 일별·주별(월요일 시작) 평균 점수. 마지막 주 평균이 높은 지역부터 정렬한다
+function buildTrend(points, to) {
+  const thisWeek = getWeekStart(to);
+
+  return Object.entries(points)
+    .map(([region, series]) => {
+      const daily = summarize(series, point => toKstDate(point.takenAt), 'date');
+      const weekly = summarize(series, point => getWeekStart(toKstDate(point.takenAt)), 'weekStart')
+        .map(({ weekStart, ...week }) => ({ weekStart, weekEnd: shiftDate(weekStart, 6), ...week }));
+      const currentWeek = weekly.find(week => week.weekStart === thisWeek) || null;
+
+      return {
+        region,
+        daily,
+        weekly,
+        thisWeekAverage: currentWeek ? currentWeek.average : null,
+        // 기간 첫날 대비 마지막 날 평균 점수 변화
+        change: daily.length > 1 ? round(daily[daily.length - 1].average - daily[0].average) : null
+      };
+    })
+    .sort((a, b) => (b.thisWeekAverage ?? -1) - (a.thisWeekAverage ?? -1));
+}
+
+function summarize(series, keyOf, keyName) {
+  const groups = new Map();
+  series.forEach(point => {
+    const key = keyOf(point);
+    groups.set(key, [...(groups.get(key) || []), point.score]);
+  });
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, scores]) => ({
+      [keyName]: key,
+      average: round(scores.reduce((sum, score) => sum + score, 0) / scores.length),
+      min: Math.min(...scores),
+      max: Math.max(...scores),
+      samples: scores.length
+    }));
+}
+
+function getWeekStart(date) {
+  const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return shiftDate(date, -((dayOfWeek + 6) % 7));
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function runTests() {
+  const point = (takenAt, score) => ({ takenAt, score });
+  const snapshot = (takenAt, key, scores) => ({
+    takenAt,
+    key,
+    regions: Object.entries(scores).map(([region, score], index) => ({ region, rank: index + 1, score }))
+  });
+  const trend = buildTrend({
+    // 15:30Z는 KST로 다음 날 00:30이다
+    서울: [point('2026-03-01T03:00:00.000Z', 60), point('2026-03-01T15:30:00.000Z', 70), point('2026-03-02T03:00:00.000Z', 80)],
+    부산: [point('2026-02-27T03:00:00.000Z', 90), point('2026-03-02T03:00:00.000Z', 50)]
+  }, '2026-03-02');
+  const seoul = trend.find(item => item.region === '서울');
+  const snapshots = [
+    snapshot('2026-03-01T00:05:00.000Z', '부산,서울', { 서울: 70, 부산: 60 }),
+    snapshot('2026-03-01T00:05:00.000Z', '서울', { 서울: 70 }),
+    snapshot('2026-03-01T01:05:00.000Z', '강릉,속초', { 속초: 65, 강릉: 55 })
+  ];
+
+  const cases = [
+    ['날짜 YYYY-MM-DD', normalizeDate('2026-03-01'), '2026-03-01'],
+    ['날짜 YYYYMMDD', normalizeDate(' 20241231 '), '2024-12-31'],
+    ['없는 날짜', normalizeDate('2026-02-30'), null],
+    ['다른 구분자', normalizeDate('2026/03/01'), null],
+    // 기본 범위는 KST 오늘까지 7일 (16:00Z는 KST로 다음 날 01:00)
+    ['기본 범위', resolveHistoryRange({}, new Date('2026-03-01T16:00:00Z')), { from: '2026-02-24', to: '2026-03-02' }],
+    ['from만 지정', resolveHistoryRange({ from: '20260225', to: '2026-03-02' }), { from: '2026-02-25', to: '2026-03-02' }],
+    ['역순 범위', resolveHistoryRange({ from: '20260310', to: '20260301' }).error, 'INVALID_DATE'],
+    ['잘못된 날짜', resolveHistoryRange({ to: '2026-13-01' }).error, 'INVALID_DATE'],
+    ['최대 범위', resolveHistoryRange({ from: '2026-01-01', to: '2026-04-02' }), { from: '2026-01-01', to: '2026-04-02' }],
+    ['최대 범위 초과', resolveHistoryRange({ from: '2026-01-01', to: '2026-04-03' }).error, 'RANGE_TOO_LONG'],
+    // 주는 월요일에 시작한다
+    ['주 시작 (일요일)', getWeekStart('2026-03-01'), '2026-02-23'],
+    ['주 시작 (월요일)', getWeekStart('2026-03-02'), '2026-03-02'],
+    ['주 시작 (연도 경계)', getWeekStart('2026-01-01'), '2025-12-29'],
+    ['일별 요약', summarize([point('2026-03-01T03:00:00.000Z', 61), point('2026-03-01T04:00:00.000Z', 70)], () => '2026-03-01', 'date'),
+      [{ date: '2026-03-01', average: 65.5, min: 61, max: 70, samples: 2 }]],
+    ['일별 추이 (KST 날짜)', seoul.daily.map(day => [day.date, day.average]), [['2026-03-01', 60], ['2026-03-02', 75]]],
+    ['주별 추이', seoul.weekly.map(week => [week.weekStart, week.weekEnd, week.samples]), [['2026-02-23', '2026-03-01', 1], ['2026-03-02', '2026-03-08', 2]]],
+    ['이번 주 평균순 정렬', trend.map(item => [item.region, item.thisWeekAverage]), [['서울', 75], ['부산', 50]]],
+    ['첫날 대비 변화', trend.map(item => item.change), [15, -40]],
+    // 지역 구성으로 고르기 / region이 든 기록을 같은 시각 하나로 모으기
+    ['구성으로 선택', selectSnapshots(snapshots, item => item.key === '서울').length, 1],
+    ['지역 포함으로 선택', selectSnapshots(snapshots, item => item.key.split(',').includes('서울')).map(item => item.key), ['부산,서울']],
+    ['시도 구성의 시군구', collectRegionPoints(selectSnapshots(snapshots, item => item.key.split(',').includes('속초')), '속초').속초
+      .map(item => [item.score, item.rank, item.set]), [[65, 1, '강릉,속초']]]
+  ];
+
+  const failures = cases
+    .filter(([, actual, expected]) => JSON.stringify(actual) !== JSON.stringify(expected))
+    .map(([name, actual, expected]) => ({ name, actual, expected }));
+
+  failures.forEach(({ name, actual, expected }) => {
+    console.error(`❌ ${name}: ${JSON.stringify(actual)} (기대값 ${JSON.stringify(expected)})`);
+  });
+  console.log(`🧪 ranking/history: ${cases.length - failures.length}/${cases.length} 통과`);
+
+  return { passed: cases.length - failures.length, failed: failures.length, failures };
+}
+
+module.exports.runTests = runTests;
@@ -0,0 +1,78 @@
+const { REGIONS } = require('../../lib/regions');
+const {
+  resolveRankingRegions,
+  computeRankings,
+  listSnapshotSelections,
+  recordSnapshot
+} = require('../../lib/ranking-service');
+
+// 영구 디스크가 있는 배포에서 cron이 매시 호출한다 (README의 랭킹 기록 배포 조건 참고). 랭킹 기록을 남기는 유일한 경로다.
+// 기본 지역과 시도별 구성 전체(또는 경로에 붙인 regions/province 하나)의 랭킹을 계산해 스냅샷으로 남긴다.
+// Vercel Cron과 같은 방식으로 Authorization: Bearer <CRON_SECRET> 헤더가 있어야 한다
+module.exports = async function handler(req, res) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return res.status(503).json({
+      success: false,
+      error: 'CRON_SECRET_MISSING',
+      message: 'CRON_SECRET 환경 변수가 설정되지 않아 스냅샷 작업을 실행할 수 없습니다'
+    });
+  }
+  if (req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({
+      success: false,
+      error: 'UNAUTHORIZED',
+      message: '스냅샷 작업은 예약 실행으로만 호출할 수 있습니다'
+    });
+  }
+
+  try {
+    let selections = listSnapshotSelections();
+    if (req.query.regions || req.query.province) {
+      const selection = resolveRankingRegions({ regions: req.query.regions, province: req.query.province });
+      if (selection.error) {
+        return res.status(400).json({
+          success: false,
+          error: selection.error,
+          message: selection.message,
+          supportedRegions: Object.keys(REGIONS)
+        });
+      }
+      selections = [selection];
+    }
+
+    // 한 번의 실행에서 기록한 구성은 같은 시각으로 남긴다 (기록 조회에서 시각 단위로 중복을 거른다)
+    const now = new Date();
+    const rankings = await computeRankings(selections);
+    const snapshots = [];
+    for (const { regions, province, ranked, unranked } of rankings) {
+      const snapshot = await recordSnapshot(regions, ranked, now);
+      snapshots.push({
+        regions,
+        province,
+        ...snapshot,
+        ranked: ranked.length,
+        unranked: unranked.map(({ region, reason }) => ({ region, reason }))
+      });
+    }
+
+    const saved = snapshots.filter(snapshot => snapshot.saved).length;
+    return res.json({
+      success: true,
+      snapshots,
+      message: saved
+        ? `📸 랭킹 스냅샷 저장 (${saved}/${snapshots.length}개 지역 구성)`
+        : '📸 이번 구간의 스냅샷이 이미 저장되어 있습니다',
+      time: new Date().toLocaleString('ko-KR')
+    });
+
+  } catch (error) {
+    console.error('❌ 랭킹 스냅샷 작업 오류:', error.message);
+    const isServiceError = error.name === 'ServiceError';
+    return res.status(isServiceError ? error.status : 500).json({
+      success: false,
+      error: isServiceError ? error.code : 'SNAPSHOT_FAILED',
+      message: `랭킹 스냅샷을 저장하지 못했습니다: ${error.message}`
+    });
+  }
+};
@@ -494,7 +494,8 @@ class SafeUtils {
                 continue;
             }
 
-            if (value !== undefined && value !== null) {
+            // 빈 선택값(keyword=, cat1= 등)은 보내지 않은 것으로 보고 검사·전달하지 않는다
+            if (value !== undefined && value !== null && value !== '') {
                 try {
                     switch (rules.type) {
                         case 'string':
@@ -505,6 +506,9 @@ class SafeUtils {
                             if (rules.enum && !rules.enum.includes(transformed[key])) {
                                 errors.push(`Field '${key}' must be one of: ${rules.enum.join(', ')}`);
                             }
+                            if (rules.pattern && !rules.pattern.test(transformed[key])) {
+                                errors.push(`Field '${key}' has invalid format`);
+                            }
                             break;
                         case 'number':
                             transformed[key] = this.safeParseFloat(value, NaN, rules);
@@ -1567,6 +1571,14 @@ class HttpClient {
 
 // ===== 관광 API 클라이언트 모듈 =====
 class TourismApiClient {
+    // routeRequest에서 노출하는 오퍼레이션 (KorService2 전체 + batchRequest)
+    static OPERATIONS = [
+        'areaCode', 'categoryCode', 'ldongCode', 'lclsSystmCode',
+        'areaBasedList', 'locationBasedList', 'searchKeyword', 'searchFestival', 'searchStay',
+        'detailCommon', 'detailIntro', 'detailInfo', 'detailImage', 'detailPetTour',
+        'areaBasedSyncList', 'batchRequest'
+    ];
+
     constructor(options = {}) {
         this.apiKey = options.apiKey || this.getApiKeyFromEnv();
         this.baseURL = options.baseURL || PRODUCTION_CONFIG.API_BASE_URL; // HTTPS 확정
@@ -1874,6 +1886,256 @@ class TourismApiClient {
         });
     }
 
+    async areaCode(params = {}) {
+        const schema = {
+            numOfRows: { type: 'integer', min: 1, max: 1000 },
+            pageNo: { type: 'integer', min: 1 },
+            areaCode: { type: 'integer', min: 1 }
+        };
+
+        const validation = SafeUtils.validateAndTransform(params, schema);
+        if (!validation.valid) {
+            throw new ValidationError(validation.errors.join(', '), 'params', params, this.i18n);
+        }
+
+        return this.makeRequest('/areaCode2', validation.data, {
+            operation: 'areaCode',
+            useCache: true,
+            cacheTTL: 86400000
+        });
+    }
+
+    async categoryCode(params = {}) {
+        const schema = {
+            numOfRows: { type: 'integer', min: 1, max: 1000 },
+            pageNo: { type: 'integer', min: 1 },
+            contentTypeId: { type: 'integer', min: 12, max: 39 },
+            cat1: { type: 'string', maxLength: 3, pattern: /^[A-Z]\d{2}$/ },
+            cat2: { type: 'string', maxLength: 5, pattern: /^[A-Z]\d{4}$/ },
+            cat3: { type: 'string', maxLength: 9, pattern: /^[A-Z]\d{6}$/ }
+        };
+
+        const validation = SafeUtils.validateAndTransform(params, schema);
+        if (!validation.valid) {
+            throw new ValidationError(validation.errors.join(', '), 'params', params, this.i18n);
+        }
+
+        return this.makeRequest('/categoryCode2', validation.data, {
+            operation: 'categoryCode',
+            useCache: true,
+            cacheTTL: 86400000
+        });
+    }
+
+    async ldongCode(params = {}) {
+        const schema = {
+            numOfRows: { type: 'integer', min: 1, max: 1000 },
+            pageNo: { type: 'integer', min: 1 },
+            lDongRegnCd: { type: 'string', maxLength: 5, pattern: /^\d+$/ },
+            lDongListYn: { type: 'string', enum: ['Y', 'N'] }
+        };
+
+        const validation = SafeUtils.validateAndTransform(params, schema);
+        if (!validation.valid) {
+            throw new ValidationError(validation.errors.join(', '), 'params', params, this.i18n);
+        }
+
+        return this.makeRequest('/ldongCode2', validation.data, {
+            operation: 'ldongCode',
+            useCache: true,
+            cacheTTL: 86400000
+        });
+    }
+
+    async lclsSystmCode(params = {}) {
+        const schema = {
+            numOfRows: { type: 'integer', min: 1, max: 1000 },
+            pageNo: { type: 'integer', min: 1 },
+            lclsSystm1: { type: 'string', maxLength: 2, pattern: /^[A-Z]{2}$/ },
+            lclsSystm2: { type: 'string', maxLength: 4, pattern: /^[A-Z]{2}\d{2}$/ },
+            lclsSystm3: { type: 'string', maxLength: 8, pattern: /^[A-Z]{2}\d{6}$/ },
+            lclsSystmListYn: { type: 'string', enum: ['Y', 'N'] }
+        };
+
+        const validation = SafeUtils.validateAndTransform(params, schema);
+        if (!validation.valid) {
+            throw new ValidationError(validation.errors.join(', '), 'params', params, this.i18n);
+        }
+
+        return this.makeRequest('/lclsSystmCode2', validation.data, {
+            operation: 'lclsSystmCode',
+            useCache: true,
+            cacheTTL: 86400000
+        });
+    }
+
+    async searchFestival(params = {}) {
+        const schema = {
+            numOfRows: { type: 'integer', min: 1, max: 1000 },
+            pageNo: { type: 'integer', min: 1 },
+            eventStartDate: { type: 'string', required: true, maxLength: 8, pattern: /^\d{8}$/ },
+            eventEndDate: { type: 'string', maxLength: 8, pattern: /^\d{8}$/ },
+            areaCode: { type: 'integer', min: 1 },
+            sigunguCode: { type: 'integer', min: 1 },
+            lDongRegnCd: { type: 'string', maxLength: 5, pattern: /^\d+$/ },
+            lDongSignguCd: { type: 'string', maxLength: 5, pattern: /^\d+$/ },
+            lclsSystm1: { type: 'string', maxLength: 2 },
+            lclsSystm2: { type: 'string', maxLength: 4 },
+            lclsSystm3: { type: 'string', maxLength: 8 },
+            modifiedtime: { type: 'string', maxLength: 8, pattern: /^\d{8}$/ },
+            arrange: { type: 'string', enum: ['A', 'C', 'D', 'O', 'Q', 'R'] }
+        };
+
+        const validation = SafeUtils.validateAndTransform(params, schema);
+        if (!validation.valid) {
+            throw new ValidationError(validation.errors.join(', '), 'params', params, this.i18n);
+        }
+
+        if (validation.data.eventEndDate && validation.data.eventEndDate < validation.data.eventStartDate) {
+            throw new ValidationError('eventEndDate must not be earlier than eventStartDate', 'eventEndDate', params.eventEndDate, this.i18n);
+        }
+
+        return this.makeRequest('/searchFestival2', validation.data, {
+            operation: 'searchFestival',
+            useCache: true,
+            cacheTTL: 600000
+        });
+    }
+
+    async searchStay(params = {}) {
+        const schema = {
+            numOfRows: { type: 'integer', min: 1, max: 1000 },
+            pageNo: { type: 'integer', min: 1 },
+            areaCode: { type: 'integer', min: 1 },
+            sigunguCode: { type: 'integer', min: 1 },
+            lDongRegnCd: { type: 'string', maxLength: 5, pattern: /^\d+$/ },
+            lDongSignguCd: { type: 'string', maxLength: 5, pattern: /^\d+$/ },
+            lclsSystm1: { type: 'string', maxLength: 2 },
+            lclsSystm2: { type: 'string', maxLength: 4 },
+            lclsSystm3: { type: 'string', maxLength: 8 },
+            modifiedtime: { type: 'string', maxLength: 8, pattern: /^\d{8}$/ },
+            arrange: { type: 'string', enum: ['A', 'C', 'D', 'O', 'Q', 'R'] }
+        };
+
+        const validation = SafeUtils.validateAndTransform(params, schema);
+        if (!validation.valid) {
+            throw new ValidationError(validation.errors.join(', '), 'params', params, this.i18n);
+        }
+
+        return this.makeRequest('/searchStay2', validation.data, {
+            operation: 'searchStay',
+            useCache: true,
+            cacheTTL: 1800000
+        });
+    }
+
+    async detailIntro(params = {}) {
+        const schema = {
+            contentId: { type: 'integer', required: true, min: 1 },
+            contentTypeId: { type: 'integer', required: true, min: 12, max: 39 }
+        };
+
+        const validation = SafeUtils.validateAndTransform(params, schema);
+        if (!validation.valid) {
+            throw new ValidationError(validation.errors.join(', '), 'params', params, this.i18n);
+        }
+
+        return this.makeRequest('/detailIntro2', validation.data, {
+            operation: 'detailIntro',
+            useCache: true,
+            cacheTTL: 3600000
+        });
+    }
+
+    async detailInfo(params = {}) {
+        const schema = {
+            contentId: { type: 'integer', required: true, min: 1 },
+            contentTypeId: { type: 'integer', required: true, min: 12, max: 39 },
+            numOfRows: { type: 'integer', min: 1, max: 1000 },
+            pageNo: { type: 'integer', min: 1 }
+        };
+
+        const validation = SafeUtils.validateAndTransform(params, schema);
+        if (!validation.valid) {
+            throw new ValidationError(validation.errors.join(', '), 'params', params, this.i18n);
+        }
+
+        return this.makeRequest('/detailInfo2', validation.data, {
+            operation: 'detailInfo',
+            useCache: true,
+            cacheTTL: 3600000
+        });
+    }
+
+    async detailImage(params = {}) {
+        const schema = {
+            contentId: { type: 'integer', required: true, min: 1 },
+            imageYN: { type: 'string', enum: ['Y', 'N'] },
+            numOfRows: { type: 'integer', min: 1, max: 1000 },
+            pageNo: { type: 'integer', min: 1 }
+        };
+
+        const validation = SafeUtils.validateAndTransform(params, schema);
+        if (!validation.valid) {
+            throw new ValidationError(validation.errors.join(', '), 'params', params, this.i18n);
+        }
+
+        return this.makeRequest('/detailImage2', validation.data, {
+            operation: 'detailImage',
+            useCache: true,
+            cacheTTL: 3600000
+        });
+    }
+
+    async detailPetTour(params = {}) {
+        const schema = {
+            contentId: { type: 'integer', min: 1 },
+            numOfRows: { type: 'integer', min: 1, max: 1000 },
+            pageNo: { type: 'integer', min: 1 }
+        };
+
+        const validation = SafeUtils.validateAndTransform(params, schema);
+        if (!validation.valid) {
+            throw new ValidationError(validation.errors.join(', '), 'params', params, this.i18n);
+        }
+
+        return this.makeRequest('/detailPetTour2', validation.data, {
+            operation: 'detailPetTour',
+            useCache: true,
+            cacheTTL: 3600000
+        });
+    }
+
+    async areaBasedSyncList(params = {}) {
+        const schema = {
+            numOfRows: { type: 'integer', min: 1, max: 1000 },
+            pageNo: { type: 'integer', min: 1 },
+            showflag: { type: 'string', enum: ['0', '1'] },
+            modifiedtime: { type: 'string', maxLength: 8, pattern: /^\d{6}(\d{2})?$/ },
+            areaCode: { type: 'integer', min: 1 },
+            sigunguCode: { type: 'integer', min: 1 },
+            contentTypeId: { type: 'integer', min: 12, max: 39 },
+            lDongRegnCd: { type: 'string', maxLength: 5, pattern: /^\d+$/ },
+            lDongSignguCd: { type: 'string', maxLength: 5, pattern: /^\d+$/ },
+            lclsSystm1: { type: 'string', maxLength: 2 },
+            lclsSystm2: { type: 'string', maxLength: 4 },
+            lclsSystm3: { type: 'string', maxLength: 8 },
+            arrange: { type: 'string', enum: ['A', 'C', 'D', 'O', 'Q', 'R'] }
+        };
+
+        const validation = SafeUtils.validateAndTransform(params, schema);
+        if (!validation.valid) {
+            throw new ValidationError(validation.errors.join(', '), 'params', params, this.i18n);
+        }
+
+        // 동기화 목록은 변경분 확인용이므로 짧게만 캐시한다
+        return this.makeRequest('/areaBasedSyncList2', validation.data, {
+            operation: 'areaBasedSyncList',
+            useCache: true,
+            cacheTTL: 60000
+        });
+    }
+
     async batchRequest(requests, options = {}) {
         if (!this.batchEnabled) {
             throw new TourismApiError('BATCH_DISABLED', 'batchRequest', 400, {}, {}, this.i18n);
@@ -2055,16 +2317,10 @@ class TourismApiHandler {
         
         // 'operation' 매개변수를 request.query에서 명시적으로 가져옵니다.
         // 이는 프론트엔드가 URL 쿼리 스트링으로 operation을 보내는 방식과 일치해야 합니다.
-        const operation = request.query.operation; 
-
-        const supportedOperations = [
-            'areaBasedList',
-            'detailCommon',
-            'searchKeyword',
-            'locationBasedList',
-            'batchRequest'
-            // 여기에 다른 API 오퍼레이션도 추가할 수 있습니다.
-        ];
+        // test2.html처럼 KorService2 엔드포인트 이름('detailImage2')으로 보내는 경우도 받아준다.
+        const operation = this.normalizeOperation(request.query.operation);
+
+        const supportedOperations = TourismApiClient.OPERATIONS;
 
         // operation이 없거나 지원되지 않는 값인 경우 ValidationError를 발생시킵니다.
         // 이는 백엔드가 'api/tourism'과 같은 경로 자체를 operation으로 해석하는 것을 방지합니다.
@@ -2085,8 +2341,10 @@ class TourismApiHandler {
             return apiClient.batchRequest(request.body.requests, request.body.options);
         }
 
-        // operation을 제외한 나머지 쿼리 파라미터를 API 클라이언트에 전달
-        const params = { ...request.query };
+        // POST 본문의 파라미터와 쿼리 파라미터를 합쳐 API 클라이언트에 전달 (쿼리가 우선)
+        const bodyParams = request.method === 'POST' && request.body && typeof request.body === 'object' && !Array.isArray(request.body) ?
+            request.body : {};
+        const params = { ...bodyParams, ...request.query };
         delete params.operation; // params 객체에서 operation 속성 제거 (중복 방지)
 
         if (operation === 'locationBasedList' && params.mapX && params.mapY) {
@@ -2111,6 +2369,14 @@ class TourismApiHandler {
         return apiClient[operation](params, { identifier: request.ip });
     }
 
+    normalizeOperation(operation) {
+        if (!operation || TourismApiClient.OPERATIONS.includes(operation)) {
+            return operation;
+        }
+        const baseName = operation.replace(/2$/, '');
+        return TourismApiClient.OPERATIONS.includes(baseName) ? baseName : operation;
+    }
+
     formatResponse(statusCode, data, metadata = {}) {
         const response = {
             statusCode,
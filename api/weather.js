@@ -1,4 +1,21 @@
-const axios = require('axios');
+const { REGIONS } = require('../lib/regions');
+const {
+    resolveLocation,
+    latLngToGrid,
+    resolveBaseTimes,
+    FORECAST_SCHEDULES,
+    getCurrentWeather,
+    getForecast,
+    getNowcast,
+    getWeatherAlerts
+} = require('../lib/weather-service');
+
+// current 외 모드별 조회 함수
+const MODE_SERVICES = {
+    now: getNowcast,
+    forecast: getForecast,
+    alerts: getWeatherAlerts
+};
 
 module.exports = async function handler(req, res) {
     res.setHeader('Access-Control-Allow-Origin', '*');
@@ -11,16 +28,36 @@ module.exports = async function handler(req, res) {
     }
 
     try {
-        const region = req.query.region || '서울';
+        let region = req.query.region || '서울';
+        const mode = req.query.mode || 'current';
         const apiKey = process.env.WEATHER_API_KEY;
 
         // 디버깅 로그
         console.log('날씨 API 요청:', {
             region,
+            mode,
             apiKeyExists: !!apiKey,
             timestamp: new Date().toISOString()
         });
 
+        if (!['current', 'now', 'forecast', 'alerts'].includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                error: 'UNSUPPORTED_MODE',
+                message: `지원하지 않는 mode입니다: ${mode}`,
+                supportedModes: ['current', 'now', 'forecast', 'alerts']
+            });
+        }
+
+        // 실황/예보 모드는 샘플 데이터로 대신하지 않는다
+        if (!apiKey && mode !== 'current') {
+            return res.status(503).json({
+                success: false,
+                error: 'API_KEY_MISSING',
+                message: 'WEATHER_API_KEY 환경 변수가 설정되지 않아 예보를 조회할 수 없습니다'
+            });
+        }
+
         if (!apiKey) {
             console.warn('⚠️ WEATHER_API_KEY 환경 변수가 설정되지 않았습니다.');
             return res.json({
@@ -36,131 +73,41 @@ module.exports = async function handler(req, res) {
             });
         }
 
-        // 확장된 좌표 매핑
-        const coordinates = {
-            '서울': { nx: 60, ny: 127 },
-            '부산': { nx: 98, ny: 76 },
-            '제주': { nx: 52, ny: 38 },
-            '강릉': { nx: 92, ny: 131 },  // 강원도 강릉
-            '전주': { nx: 63, ny: 89 },   // 전북 전주
-            '대구': { nx: 89, ny: 90 },   // 대구
-            '광주': { nx: 58, ny: 74 },   // 광주
-            '대전': { nx: 67, ny: 100 }   // 대전
-        };
-
-        const coord = coordinates[region] || coordinates['서울'];
-        console.log('좌표 정보:', { region, coord });
-
-        // 날짜/시간 설정 개선
-        const now = new Date();
-        const kst = new Date(now.getTime() + 9 * 60 * 60 * 1000);
-        const baseDate = kst.toISOString().slice(0, 10).replace(/-/g, '');
-        
-        // 발표 시각 계산 (기상청은 3시간마다 발표: 02, 05, 08, 11, 14, 17, 20, 23시)
-        const currentHour = kst.getHours();
-        let baseTime;
-        if (currentHour >= 23 || currentHour < 2) baseTime = '2300';
-        else if (currentHour < 5) baseTime = '0200';
-        else if (currentHour < 8) baseTime = '0500';
-        else if (currentHour < 11) baseTime = '0800';
-        else if (currentHour < 14) baseTime = '1100';
-        else if (currentHour < 17) baseTime = '1400';
-        else if (currentHour < 20) baseTime = '1700';
-        else baseTime = '2000';
-
-        console.log('API 요청 파라미터:', {
-            baseDate,
-            baseTime,
-            nx: coord.nx,
-            ny: coord.ny
-        });
-
-        // API 요청
-        const response = await axios.get('http://apis.data.go.kr/1360000/VilageFcstInfoService_2.0/getVilageFcst', {
-            params: {
-                serviceKey: apiKey,
-                numOfRows: 100,
-                pageNo: 1,
-                dataType: 'JSON',
-                base_date: baseDate,
-                base_time: baseTime,
-                nx: coord.nx,
-                ny: coord.ny
-            },
-            timeout: 10000 // 타임아웃 증가
-        });
-
-        // API 응답 로깅
-        console.log('기상청 API 응답:', {
-            resultCode: response.data?.response?.header?.resultCode,
-            resultMsg: response.data?.response?.header?.resultMsg,
-            itemCount: response.data?.response?.body?.items?.item?.length || 0
-        });
-
-        if (!response.data || !response.data.response || response.data.response.header.resultCode !== '00') {
-            throw new Error(response.data?.response?.header?.resultMsg || 'API 응답 오류');
-        }
-
-        const items = response.data.response.body?.items?.item || [];
-        console.log('받은 데이터 항목 수:', items.length);
-
-        // 현재 시각과 가장 가까운 예보 시각의 데이터 찾기
-        const currentFcstTime = kst.toISOString().slice(11, 16).replace(':', '');
-        let temperature = 20;
-        let sky = '맑음';
-        let precipitation = '없음';
-
-        // 데이터 파싱 개선
-        const latestData = {};
-        items.forEach(item => {
-            const category = item.category;
-            const fcstTime = item.fcstTime;
-            
-            if (!latestData[category] || fcstTime >= currentFcstTime) {
-                latestData[category] = item.fcstValue;
-            }
-        });
-
-        console.log('파싱된 최신 데이터:', latestData);
-
-        // 온도 (TMP)
-        if (latestData.TMP) {
-            temperature = parseFloat(latestData.TMP);
-        }
-
-        // 하늘상태 (SKY)
-        if (latestData.SKY) {
-            const skyCode = latestData.SKY;
-            if (skyCode === '1') sky = '맑음';
-            else if (skyCode === '3') sky = '구름많음';
-            else if (skyCode === '4') sky = '흐림';
+        // lat/lng(또는 관광 API의 mapy/mapx)가 오면 지역명보다 우선한다
+        const location = resolveLocation(req.query, region);
+        if (location.error) {
+            return res.status(400).json({
+                success: false,
+                error: location.error,
+                message: location.message,
+                ...(location.error === 'UNSUPPORTED_REGION' && { supportedRegions: Object.keys(REGIONS) })
+            });
         }
 
-        // 강수형태 (PTY)
-        if (latestData.PTY) {
-            const ptyCode = latestData.PTY;
-            if (ptyCode === '0') precipitation = '없음';
-            else if (ptyCode === '1') precipitation = '비';
-            else if (ptyCode === '2') precipitation = '비/눈';
-            else if (ptyCode === '3') precipitation = '눈';
-            else if (ptyCode === '4') precipitation = '소나기';
+        // 좌표로만 요청하면 응답의 region에 좌표를 표시한다
+        if (location.source === 'coordinates' && !req.query.region) {
+            region = `${location.lat},${location.lng}`;
         }
 
-        const weatherData = {
-            region,
-            temperature,
-            sky,
-            precipitation,
-            message: '🌟 실시간 기상청 데이터',
-            time: new Date().toLocaleString('ko-KR'),
-            debug: {
-                baseDate,
-                baseTime,
-                coordinates: coord,
-                itemCount: items.length
+        console.log('좌표 정보:', { region, location });
+
+        // 실황/예보/특보는 실패 시 오류 코드로 응답한다
+        const modeService = MODE_SERVICES[mode];
+        if (modeService) {
+            try {
+                const data = await modeService(apiKey, { region, location });
+                return res.json({ success: true, data });
+            } catch (error) {
+                return res.status(error.status || 502).json({
+                    success: false,
+                    error: error.code || 'WEATHER_UNAVAILABLE',
+                    message: error.message,
+                    region
+                });
             }
-        };
+        }
 
+        const weatherData = await getCurrentWeather(apiKey, { region, location });
         console.log('최종 날씨 데이터:', weatherData);
 
         return res.json({
@@ -189,3 +136,7 @@ module.exports = async function handler(req, res) {
         });
     }
 };
+
+module.exports.latLngToGrid = latLngToGrid;
+module.exports.resolveBaseTimes = resolveBaseTimes;
+module.exports.FORECAST_SCHEDULES = FORECAST_SCHEDULES;
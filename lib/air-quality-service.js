@@ -0,0 +1,468 @@
+// 에어코리아 대기질 서비스: 측정소 선택, 실시간 측정값과 환경부 기준 등급, 미세먼지 예보.
+// /api/air-quality 핸들러와 /api/combined, /api/ranking이 함께 쓴다
+const axios = require('axios');
+const { cached } = require('./cache');
+const { createServiceError } = require('./service-error');
+const { REGIONS } = require('./regions');
+
+const AIRKOREA_BASE_URL = 'http://apis.data.go.kr/B552584';
+const NEARBY_STATION_URL = `${AIRKOREA_BASE_URL}/MsrstnInfoInqireSvc/getNearbyMsrstnList`;
+const TM_COORD_URL = `${AIRKOREA_BASE_URL}/MsrstnInfoInqireSvc/getTMStdrCrdnt`;
+const STATION_MEASURE_URL = `${AIRKOREA_BASE_URL}/ArpltnInforInqireSvc/getMsrstnAcctoRltmMesureDnsty`;
+const PROVINCE_MEASURE_URL = `${AIRKOREA_BASE_URL}/ArpltnInforInqireSvc/getCtprvnRltmMesureDnsty`;
+const DUST_FORECAST_URL = `${AIRKOREA_BASE_URL}/ArpltnInforInqireSvc/getMinuDustFrcstDspth`;
+const AIRKOREA_NO_DATA = '03';
+
+const FORECAST_CODES = { pm10: 'PM10', pm25: 'PM25' };
+
+// 측정 항목: 응답 필드 → 단위/등급 필드
+const POLLUTANTS = {
+  pm10: { value: 'pm10Value', grade: 'pm10Grade', unit: '㎍/㎥', name: '미세먼지' },
+  pm25: { value: 'pm25Value', grade: 'pm25Grade', unit: '㎍/㎥', name: '초미세먼지' },
+  o3: { value: 'o3Value', grade: 'o3Grade', unit: 'ppm', name: '오존' },
+  no2: { value: 'no2Value', grade: 'no2Grade', unit: 'ppm', name: '이산화질소' },
+  co: { value: 'coValue', grade: 'coGrade', unit: 'ppm', name: '일산화탄소' },
+  so2: { value: 'so2Value', grade: 'so2Grade', unit: 'ppm', name: '아황산가스' }
+};
+const AIRKOREA_GRADES = { '1': '좋음', '2': '보통', '3': '나쁨', '4': '매우나쁨' };
+
+// 환경부 대기질 예보 등급 기준 (좋음/보통/나쁨의 상한, 그 위는 매우나쁨)
+// PM10·PM2.5는 ㎍/㎥, O3는 ppm
+const GRADE_LABELS = ['좋음', '보통', '나쁨', '매우나쁨'];
+const GRADE_THRESHOLDS = {
+  pm10: [30, 80, 150],
+  pm25: [15, 35, 75],
+  o3: [0.030, 0.090, 0.150]
+};
+
+// 등급별 행동요령 (일반인 기준, 민감군 안내 포함). 미세먼지와 초미세먼지는 요령이 같다
+const PARTICULATE_GUIDANCE = [
+  '대기 상태가 좋아 야외 활동에 제약이 없습니다.',
+  '민감군은 장시간 실외 활동 시 몸 상태에 유의하세요.',
+  '장시간 또는 무리한 실외 활동을 줄이고, 민감군은 실외 활동을 자제하세요.',
+  '실외 활동을 자제하고, 민감군은 실내에 머무르세요. 외출 시 보건용 마스크를 착용하세요.'
+];
+const HEALTH_GUIDANCE = {
+  pm10: PARTICULATE_GUIDANCE,
+  pm25: PARTICULATE_GUIDANCE,
+  o3: [
+    '대기 상태가 좋아 야외 활동에 제약이 없습니다.',
+    '민감군은 오후 시간대 장시간 실외 활동에 유의하세요.',
+    '오후 시간대 실외 활동을 줄이고, 민감군은 실외 활동을 자제하세요.',
+    '실외 활동을 중지하고 실내에 머무르세요. 오존은 마스크로 걸러지지 않습니다.'
+  ]
+};
+
+// 가까운 측정소가 모두 결측이면 시도 단위로 넘어가기 전에 볼 측정소 수
+const MAX_NEARBY_STATIONS = 3;
+
+// 에어코리아 TM 좌표(중부원점) 투영 상수. 측정소 좌표는 Bessel 기준이지만
+// GRS80으로 계산해도 차이가 수백 m 수준이라 가장 가까운 측정소를 고르는 데는 충분하다
+const TM_PROJECTION = {
+  a: 6378137.0,
+  f: 1 / 298.257222101,
+  lat0: 38.0,
+  lon0: 127.0,
+  k0: 1.0,
+  falseEasting: 200000.0,
+  falseNorthing: 500000.0
+};
+
+const AIRKOREA_CACHE_TTL = 10 * 60 * 1000;
+
+// 공공데이터포털 키를 관광 API와 같이 쓰는 경우가 있어 TOURISM_API_KEY까지 본다
+function getAirKoreaApiKey() {
+  return process.env.AIR_KOREA_API_KEY || process.env.TOURISM_API_KEY || null;
+}
+
+// === 실시간 대기질 ===
+// 측정소 선택: stationName > 좌표(lat/lng, mapy/mapx) > 읍면동(umdName) > 지역 대표 좌표
+async function getAirQuality(apiKey, { region, query = {} }) {
+  const target = resolveStationTarget(query, region);
+  if (target.error) {
+    throw createServiceError(target.error, target.message, 400);
+  }
+
+  const { item, station } = await findStationMeasurement(apiKey, target, region);
+
+  if (!item) {
+    if (target.type === 'stationName' || target.type === 'umdName') {
+      throw createServiceError('STATION_NOT_FOUND', target.type === 'stationName'
+        ? `측정소를 찾을 수 없거나 측정값이 없습니다: ${target.stationName}`
+        : `읍면동을 찾을 수 없거나 근처 측정값이 없습니다: ${target.umdName}`, 404);
+    }
+    throw new Error('대기질 데이터 없음');
+  }
+
+  const pollutants = buildPollutants(item);
+  const pm10 = pollutants.pm10.value;
+  const pm25 = pollutants.pm25.value;
+
+  // PM10, PM2.5, O3 중 가장 나쁜 등급이 종합 상태다
+  const grade = getOverallGrade(pollutants);
+  const status = grade ? grade.label : '정보 없음';
+
+  console.log('🎉 대기질 데이터 성공:', { pm10, pm25, status, dominant: grade?.pollutants });
+
+  return {
+    region,
+    pm10,
+    pm25,
+    status,
+    grade,
+    stationName: station.name,
+    station,
+    pollutants,
+    khai: {
+      value: toMeasurement(item.khaiValue),
+      grade: item.khaiGrade || null,
+      label: AIRKOREA_GRADES[item.khaiGrade] || null
+    },
+    dataTime: item.dataTime,
+    message: '🌬️ 실시간 대기질 데이터',
+    time: new Date().toLocaleString('ko-KR'),
+    apiKeyUsed: apiKey ? 'found' : 'not_found'
+  };
+}
+
+// === 대기질 예보 (내일/모레) ===
+async function getAirQualityForecast(apiKey, { region, forecastRegion }) {
+  // 권역명은 informGrade 표기를 따른다 (강원은 영동/영서, 경기는 남부/북부로 나뉜다)
+  const area = forecastRegion || REGIONS[region]?.airKorea.forecastRegion;
+  if (!area) {
+    const error = createServiceError('UNSUPPORTED_REGION',
+      `대기질 예보 권역을 알 수 없는 지역입니다: ${region} (forecastRegion으로 권역명을 지정하세요)`, 400);
+    error.supportedRegions = Object.keys(REGIONS);
+    throw error;
+  }
+
+  try {
+    const today = getKstDate(0);
+    const targets = [
+      { date: getKstDate(1), label: '내일' },
+      { date: getKstDate(2), label: '모레' }
+    ];
+
+    const forecasts = {};
+    await Promise.all(Object.entries(FORECAST_CODES).map(async ([key, informCode]) => {
+      forecasts[key] = await fetchDustForecasts(apiKey, informCode, today);
+    }));
+
+    const days = targets.map(({ date, label }) => buildForecastDay(forecasts, area, date, label));
+
+    return {
+      region,
+      mode: 'forecast',
+      forecastRegion: area,
+      days,
+      message: `🔮 ${region}(${area}) 대기질 예보: ${days.map(day => `${day.label} ${day.overall?.label || '정보 없음'}`).join(', ')}`,
+      time: new Date().toLocaleString('ko-KR')
+    };
+  } catch (error) {
+    console.error('❌ 대기질 예보 오류:', error.message);
+    throw createServiceError('FORECAST_UNAVAILABLE', `대기질 예보를 가져올 수 없습니다: ${error.message}`);
+  }
+}
+
+// === 측정소 선택 ===
+function resolveStationTarget(query, region) {
+  if (query.stationName) {
+    return { type: 'stationName', stationName: String(query.stationName).trim() };
+  }
+
+  const lat = query.lat ?? query.mapy;
+  const lng = query.lng ?? query.mapx;
+  if (lat !== undefined || lng !== undefined) {
+    const latNum = parseFloat(lat);
+    const lngNum = parseFloat(lng);
+    if (isNaN(latNum) || isNaN(lngNum) || latNum < 32 || latNum > 39.5 || lngNum < 124 || lngNum > 132) {
+      return { error: 'INVALID_COORDINATES', message: 'lat/lng(또는 mapy/mapx)는 국내 범위의 숫자여야 합니다' };
+    }
+    return { type: 'coordinates', lat: latNum, lng: lngNum };
+  }
+
+  if (query.umdName) {
+    return { type: 'umdName', umdName: String(query.umdName).trim() };
+  }
+
+  // 레지스트리의 대표 측정소를 먼저 보고, 없거나 측정값이 없으면 대표 좌표에서 가장 가까운 측정소를 쓴다
+  const entry = REGIONS[region];
+  if (entry) {
+    return { type: 'region', lat: entry.lat, lng: entry.lng, stationName: entry.airKorea.stationName || null };
+  }
+
+  return { type: 'province' };
+}
+
+async function findStationMeasurement(apiKey, target, region) {
+  if (target.type === 'stationName') {
+    const item = await fetchStationMeasurement(apiKey, target.stationName);
+    return { item, station: { name: target.stationName, addr: null, distanceKm: null, selection: 'stationName' } };
+  }
+
+  if (target.type === 'region' && target.stationName) {
+    try {
+      const item = await fetchStationMeasurement(apiKey, target.stationName);
+      if (item) {
+        return { item, station: { name: target.stationName, addr: null, distanceKm: null, selection: 'registry' } };
+      }
+    } catch (error) {
+      console.warn('⚠️ 대표 측정소 조회 실패, 근접 측정소로 대체:', error.message);
+    }
+  }
+
+  if (target.type !== 'province') {
+    try {
+      const tm = target.type === 'umdName'
+        ? await fetchTmCoordinate(apiKey, target.umdName)
+        : latLngToTm(target.lat, target.lng);
+      if (!tm) return { item: null, station: null };
+
+      // 가까운 순으로 오므로 측정값이 있는 첫 측정소를 쓴다 (점검 중인 측정소는 건너뛴다)
+      const stations = await fetchNearbyStations(apiKey, tm);
+      for (const candidate of stations.slice(0, MAX_NEARBY_STATIONS)) {
+        const item = await fetchStationMeasurement(apiKey, candidate.stationName);
+        if (item) {
+          return {
+            item,
+            station: {
+              name: candidate.stationName,
+              addr: candidate.addr || null,
+              distanceKm: toMeasurement(candidate.tm),
+              selection: 'nearest',
+              tm
+            }
+          };
+        }
+      }
+    } catch (error) {
+      console.warn('⚠️ 근접 측정소 조회 실패, 시도 단위로 대체:', error.message);
+    }
+
+    // 읍면동을 지정했는데 근처 측정값이 없으면 엉뚱한 시도 값을 주지 않는다
+    if (target.type === 'umdName') return { item: null, station: null };
+  }
+
+  // 좌표를 모르는 지역은 기존처럼 시도 첫 측정소를 쓴다.
+  // 등록되지 않은 지역을 서울 값으로 대신하지 않는다
+  const sidoName = REGIONS[region]?.province;
+  if (!sidoName) {
+    const error = createServiceError('UNSUPPORTED_REGION', `지원하지 않는 지역입니다: ${region}`, 400);
+    error.supportedRegions = Object.keys(REGIONS);
+    throw error;
+  }
+  const items = await fetchAirKoreaItems(PROVINCE_MEASURE_URL, apiKey, { numOfRows: 10, sidoName, ver: '1.0' });
+  const item = items[0] || null;
+  return { item, station: { name: item?.stationName || null, addr: null, distanceKm: null, selection: 'province' } };
+}
+
+async function fetchNearbyStations(apiKey, { tmX, tmY }) {
+  return fetchAirKoreaItems(NEARBY_STATION_URL, apiKey, { tmX, tmY, ver: '1.1' });
+}
+
+async function fetchTmCoordinate(apiKey, umdName) {
+  const items = await fetchAirKoreaItems(TM_COORD_URL, apiKey, { umdName, numOfRows: 10 });
+  if (!items.length) return null;
+  return { tmX: parseFloat(items[0].tmX), tmY: parseFloat(items[0].tmY) };
+}
+
+// 최근 측정값이 맨 앞에 온다. 통신 장애 등으로 값이 비면('-') 다음 시간대를 본다
+async function fetchStationMeasurement(apiKey, stationName) {
+  const items = await fetchAirKoreaItems(STATION_MEASURE_URL, apiKey, {
+    stationName,
+    dataTerm: 'DAILY',
+    numOfRows: 3,
+    ver: '1.3'
+  });
+  return items.find(item => toMeasurement(item.pm10Value) !== null || toMeasurement(item.pm25Value) !== null) || null;
+}
+
+// 측정값은 매시 갱신되고, 측정소 목록·TM 좌표·예보 발표분은 그 사이 바뀌지 않는다
+function fetchAirKoreaItems(url, apiKey, params) {
+  return cached(`airkorea:${url}:${JSON.stringify(params)}`, AIRKOREA_CACHE_TTL, () => requestAirKoreaItems(url, apiKey, params));
+}
+
+async function requestAirKoreaItems(url, apiKey, params) {
+  const response = await axios.get(url, {
+    params: {
+      serviceKey: apiKey,
+      returnType: 'json',
+      numOfRows: 10,
+      pageNo: 1,
+      ...params
+    },
+    timeout: 8000
+  });
+
+  const header = response.data?.response?.header;
+  if (!header || header.resultCode !== '00') {
+    const error = new Error(`대기질 API 응답 오류: ${header?.resultMsg || '알 수 없는 오류'}`);
+    error.resultCode = header?.resultCode;
+    throw error;
+  }
+
+  return response.data.response.body?.items || [];
+}
+
+// 새벽 첫 발표(05시) 전에는 오늘 자 예보가 없으므로 어제 발표분까지 본다
+async function fetchDustForecasts(apiKey, informCode, searchDate) {
+  const search = async date => {
+    try {
+      return await fetchAirKoreaItems(DUST_FORECAST_URL, apiKey, { searchDate: date, InformCode: informCode, numOfRows: 100, ver: '1.1' });
+    } catch (error) {
+      if (error.resultCode === AIRKOREA_NO_DATA) return [];
+      throw error;
+    }
+  };
+
+  const items = await search(searchDate);
+  if (items.length) return items;
+  return search(shiftDate(searchDate, -1));
+}
+
+function buildForecastDay(forecasts, area, date, label) {
+  const day = { date, label };
+
+  Object.keys(FORECAST_CODES).forEach(key => {
+    const item = pickLatestForecast(forecasts[key], date);
+    const gradeLabel = item ? parseInformGrade(item.informGrade)[area] || null : null;
+    const level = GRADE_LABELS.indexOf(gradeLabel) + 1 || null;
+
+    day[key] = {
+      label: gradeLabel,
+      level,
+      guidance: level ? HEALTH_GUIDANCE[key][level - 1] : null,
+      overall: item?.informOverall?.trim() || null,
+      cause: item?.informCause?.trim() || null,
+      issuedAt: item?.dataTime || null
+    };
+  });
+
+  // 실시간과 같이 더 나쁜 쪽이 종합 등급이다
+  const levels = Object.keys(FORECAST_CODES).map(key => day[key].level).filter(Boolean);
+  day.overall = levels.length
+    ? { level: Math.max(...levels), label: GRADE_LABELS[Math.max(...levels) - 1] }
+    : null;
+
+  return day;
+}
+
+// 같은 예보일에 대해 하루 4번(05/11/17/23시) 발표되므로 가장 최근 발표분을 쓴다
+function pickLatestForecast(items, date) {
+  return items
+    .filter(item => item.informData === date)
+    .sort((a, b) => parseIssuedAt(b.dataTime) - parseIssuedAt(a.dataTime))[0] || null;
+}
+
+// "2026년 10월 20일 17시 발표" → 비교용 숫자
+function parseIssuedAt(dataTime) {
+  const match = String(dataTime || '').match(/(\d{4})\D+(\d{1,2})\D+(\d{1,2})\D+(\d{1,2})/);
+  if (!match) return 0;
+  return Number(match.slice(1).map(part => part.padStart(2, '0')).join(''));
+}
+
+// "서울 : 좋음,제주 : 보통,..." → { 서울: '좋음', 제주: '보통' }
+function parseInformGrade(text) {
+  const grades = {};
+  String(text || '').split(',').forEach(part => {
+    const [name, grade] = part.split(':').map(value => value.trim());
+    if (name && grade) grades[name] = grade;
+  });
+  return grades;
+}
+
+function getKstDate(offsetDays) {
+  const kst = new Date(Date.now() + 9 * 60 * 60 * 1000);
+  kst.setUTCDate(kst.getUTCDate() + offsetDays);
+  return kst.toISOString().slice(0, 10);
+}
+
+function shiftDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+// grade/label은 에어코리아가 준 등급, official은 환경부 기준으로 직접 매긴 등급이다
+function buildPollutants(item) {
+  const pollutants = {};
+  Object.entries(POLLUTANTS).forEach(([key, { value, grade, unit, name }]) => {
+    const measured = toMeasurement(item[value]);
+    pollutants[key] = {
+      name,
+      value: measured,
+      unit,
+      grade: item[grade] || null,
+      label: AIRKOREA_GRADES[item[grade]] || null,
+      ...(GRADE_THRESHOLDS[key] && { official: gradePollutant(key, measured) })
+    };
+  });
+  return pollutants;
+}
+
+function gradePollutant(key, value) {
+  if (value === null) return null;
+
+  const index = GRADE_THRESHOLDS[key].findIndex(limit => value <= limit);
+  const level = index === -1 ? GRADE_LABELS.length : index + 1;
+  return {
+    level,
+    label: GRADE_LABELS[level - 1],
+    guidance: HEALTH_GUIDANCE[key][level - 1]
+  };
+}
+
+function getOverallGrade(pollutants) {
+  const graded = Object.keys(GRADE_THRESHOLDS).filter(key => pollutants[key]?.official);
+  if (!graded.length) return null;
+
+  const level = Math.max(...graded.map(key => pollutants[key].official.level));
+  const worst = graded.filter(key => pollutants[key].official.level === level);
+  return {
+    level,
+    label: GRADE_LABELS[level - 1],
+    pollutants: worst,
+    names: worst.map(key => pollutants[key].name),
+    guidance: [...new Set(worst.map(key => pollutants[key].official.guidance))].join(' ')
+  };
+}
+
+// 에어코리아는 결측을 '-' 또는 빈 문자열로 준다
+function toMeasurement(value) {
+  const num = parseFloat(value);
+  return isNaN(num) ? null : num;
+}
+
+// 위경도 → TM 중부원점 (Transverse Mercator, Snyder 식)
+function latLngToTm(lat, lng) {
+  const { a, f, lat0, lon0, k0, falseEasting, falseNorthing } = TM_PROJECTION;
+  const rad = Math.PI / 180;
+  const e2 = 2 * f - f * f;
+  const ep2 = e2 / (1 - e2);
+  const meridian = phi => a * (
+    (1 - e2 / 4 - 3 * e2 ** 2 / 64 - 5 * e2 ** 3 / 256) * phi
+    - (3 * e2 / 8 + 3 * e2 ** 2 / 32 + 45 * e2 ** 3 / 1024) * Math.sin(2 * phi)
+    + (15 * e2 ** 2 / 256 + 45 * e2 ** 3 / 1024) * Math.sin(4 * phi)
+    - (35 * e2 ** 3 / 3072) * Math.sin(6 * phi)
+  );
+
+  const phi = lat * rad;
+  const n = a / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+  const t = Math.tan(phi) ** 2;
+  const c = ep2 * Math.cos(phi) ** 2;
+  const A = (lng - lon0) * rad * Math.cos(phi);
+
+  const tmX = falseEasting + k0 * n * (A + (1 - t + c) * A ** 3 / 6 + (5 - 18 * t + t * t + 72 * c - 58 * ep2) * A ** 5 / 120);
+  const tmY = falseNorthing + k0 * (meridian(phi) - meridian(lat0 * rad) + n * Math.tan(phi) * (
+    A ** 2 / 2 + (5 - t + 9 * c + 4 * c * c) * A ** 4 / 24 + (61 - 58 * t + t * t + 600 * c - 330 * ep2) * A ** 6 / 720
+  ));
+
+  return { tmX: Math.round(tmX * 10) / 10, tmY: Math.round(tmY * 10) / 10 };
+}
+
+module.exports = {
+  getAirKoreaApiKey,
+  getAirQuality,
+  getAirQualityForecast,
+  latLngToTm
+};
@@ -0,0 +1,43 @@
+// 서비스 모듈이 함께 쓰는 메모리 캐시.
+// 같은 함수 인스턴스 안에서 /api/combined, /api/ranking 등이 외부 API 응답을 재사용하고,
+// 동시에 들어온 같은 요청은 진행 중인 Promise 하나를 나눠 쓴다 (실패한 결과는 남기지 않는다)
+const entries = new Map();
+const MAX_ENTRIES = 500;
+
+function cached(key, ttlMs, loader) {
+    const now = Date.now();
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt > now) {
+        return entry.promise;
+    }
+
+    const promise = Promise.resolve().then(loader);
+    entries.set(key, { promise, expiresAt: now + ttlMs });
+    promise.catch(() => {
+        if (entries.get(key)?.promise === promise) entries.delete(key);
+    });
+
+    if (entries.size > MAX_ENTRIES) prune(now);
+    return promise;
+}
+
+// 만료된 항목부터 지우고, 그래도 많으면 오래된 순으로 지운다
+function prune(now) {
+    for (const [key, entry] of entries) {
+        if (entry.expiresAt <= now) entries.delete(key);
+    }
+    for (const key of entries.keys()) {
+        if (entries.size <= MAX_ENTRIES) break;
+        entries.delete(key);
+    }
+}
+
+function clearCache() {
+    entries.clear();
+}
+
+function getCacheStats() {
+    return { size: entries.size, maxEntries: MAX_ENTRIES };
+}
+
+module.exports = { cached, clearCache, getCacheStats };
@@ -0,0 +1,393 @@
+// 지역 종합 점수 서비스: 날씨·특보·대기질·주변 관광지·축제를 모아 설정 가능한 점수 엔진으로 평가한다.
+// /api/combined와 /api/ranking이 같은 함수 안에서 직접 호출한다
+const { createServiceError } = require('./service-error');
+const { resolveLocation, getCurrentWeather, getWeatherAlerts } = require('./weather-service');
+const { getAirKoreaApiKey, getAirQuality } = require('./air-quality-service');
+const { getTourismApiKey, getNearbyAttractions } = require('./tourism-service');
+const { getFestivalApiKey, getRegionFestivals } = require('./festival-service');
+const { REGIONS } = require('./regions');
+
+// 특보 발효 시 점수 상한 (경보는 무조건 비추천, 주의보는 '보통'을 넘지 못한다)
+const ALERT_SCORE_CAPS = { warning: 20, advisory: 55 };
+
+// 등급 하한 (위에서부터 처음 넘는 등급)
+const SCORE_GRADES = [[85, 'S'], [70, 'A'], [55, 'B'], [40, 'C'], [25, 'D']];
+
+// === 점수 설정 ===
+// 기본값 ← 계절 ← 프로필 ← 프로필의 계절별 설정 순으로 덮어쓴다. 가중치는 합이 100이 되도록 둔다
+const DEFAULT_SCORING = {
+  weights: { temperature: 25, sky: 15, precipitation: 20, airQuality: 20, attractions: 10, festivals: 10 },
+  thresholds: {
+    // ideal 범위 밖에서는 tolerance(°C)만큼 벗어나면 0점이 되도록 선형으로 깎는다
+    temperature: { ideal: [15, 25], tolerance: 8 },
+    // 이 개수 이상이면 만점 (관광지는 지역 대표 좌표 반경 5km 안)
+    attractions: { target: 30 },
+    festivals: { target: 3 }
+  }
+};
+
+const SEASON_SCORING = {
+  spring: { thresholds: { temperature: { ideal: [14, 24] } } },
+  summer: { thresholds: { temperature: { ideal: [20, 28] } } },
+  autumn: { thresholds: { temperature: { ideal: [13, 23] } } },
+  winter: { thresholds: { temperature: { ideal: [0, 12], tolerance: 10 } } }
+};
+
+const PROFILE_SCORING = {
+  default: {},
+  // 아이 동반: 대기질과 강수, 즐길 거리(축제)를 더 본다
+  family: {
+    weights: { temperature: 20, sky: 10, precipitation: 20, airQuality: 25, attractions: 10, festivals: 15 }
+  },
+  // 등산: 비와 기온이 가장 중요하고 축제는 상관없다
+  hiking: {
+    weights: { temperature: 25, sky: 20, precipitation: 30, airQuality: 20, attractions: 5, festivals: 0 },
+    thresholds: { temperature: { ideal: [8, 20] } },
+    seasons: { winter: { thresholds: { temperature: { ideal: [-5, 8] } } } }
+  },
+  // 해변: 덥고 맑아야 한다
+  beach: {
+    weights: { temperature: 30, sky: 30, precipitation: 20, airQuality: 10, attractions: 10, festivals: 0 },
+    thresholds: { temperature: { ideal: [25, 32], tolerance: 6 } }
+  }
+};
+
+const SEASONS = ['spring', 'summer', 'autumn', 'winter'];
+
+const SKY_RATIOS = { '맑음': 1, '구름많음': 0.6, '흐림': 0.3 };
+// 빗방울/눈날림처럼 약한 강수는 일부만 깎는다
+const LIGHT_PRECIPITATION = ['빗방울', '눈날림', '빗방울눈날림'];
+const AIR_LEVEL_RATIOS = { 1: 1, 2: 0.7, 3: 0.2, 4: 0 };
+const AIR_GRADE_LABELS = ['좋음', '보통', '나쁨', '매우나쁨'];
+
+// === 점수 요인 ===
+// evaluate(context, thresholds)는 데이터가 없으면 null, 있으면 { ratio: 0~1, reason }을 돌려준다
+const SCORING_FACTORS = [
+  {
+    key: 'temperature',
+    name: '기온',
+    evaluate: ({ weather }, { temperature }) => {
+      const value = typeof weather?.temperature === 'number' ? weather.temperature : null;
+      if (value === null) return null;
+
+      const [low, high] = temperature.ideal;
+      const gap = value < low ? low - value : value > high ? value - high : 0;
+      if (gap === 0) {
+        return { ratio: 1, reason: `쾌적한 기온 ${value}°C (적정 ${low}~${high}°C)` };
+      }
+      return {
+        ratio: Math.max(0, 1 - gap / temperature.tolerance),
+        reason: `${value}°C, 적정 기온(${low}~${high}°C)보다 ${Math.round(gap * 10) / 10}°C ${value < low ? '낮음' : '높음'}`
+      };
+    }
+  },
+  {
+    key: 'sky',
+    name: '하늘 상태',
+    evaluate: ({ weather }) => {
+      if (!weather?.sky || SKY_RATIOS[weather.sky] === undefined) return null;
+      return { ratio: SKY_RATIOS[weather.sky], reason: weather.sky === '맑음' ? '맑은 날씨' : `하늘 ${weather.sky}` };
+    }
+  },
+  {
+    key: 'precipitation',
+    name: '강수',
+    evaluate: ({ weather }) => {
+      if (!weather?.precipitation) return null;
+      if (weather.precipitation === '없음') return { ratio: 1, reason: '강수 없음' };
+      if (LIGHT_PRECIPITATION.includes(weather.precipitation)) {
+        return { ratio: 0.3, reason: `약한 강수 (${weather.precipitation})` };
+      }
+      return { ratio: 0, reason: `강수 (${weather.precipitation})` };
+    }
+  },
+  {
+    key: 'airQuality',
+    name: '대기질',
+    evaluate: ({ airQuality }) => {
+      // PM10/PM2.5/O3 중 가장 나쁜 종합 등급을 쓴다
+      const level = airQuality?.grade?.level || AIR_GRADE_LABELS.indexOf(airQuality?.status) + 1;
+      if (!level) return null;
+
+      const label = AIR_GRADE_LABELS[level - 1];
+      const dominant = airQuality.grade?.names?.length ? ` (${airQuality.grade.names.join(', ')})` : '';
+      return {
+        ratio: AIR_LEVEL_RATIOS[level],
+        reason: level === 1 ? '좋은 대기질' : `대기질 ${label}${level > 2 ? dominant : ''}`
+      };
+    }
+  },
+  {
+    key: 'attractions',
+    name: '주변 관광지',
+    evaluate: ({ tourism }, { attractions }) => {
+      const count = Number(tourism?.totalCount);
+      if (!tourism || Number.isNaN(count)) return null;
+      const radiusKm = tourism.radius / 1000;
+      return {
+        ratio: Math.min(1, count / attractions.target),
+        reason: count > 0 ? `반경 ${radiusKm}km 안 관광지 ${count}곳` : `반경 ${radiusKm}km 안 관광지 없음`
+      };
+    }
+  },
+  {
+    key: 'festivals',
+    name: '축제',
+    evaluate: ({ festivals }, thresholds) => {
+      const count = festivals?.stats?.ongoing;
+      if (typeof count !== 'number') return null;
+      return {
+        ratio: Math.min(1, count / thresholds.festivals.target),
+        reason: count > 0 ? `진행 중인 축제 ${count}개` : '진행 중인 축제 없음'
+      };
+    }
+  }
+];
+
+// === 지역 종합 리포트 ===
+// 각 데이터 서비스를 같은 함수 안에서 직접 호출한다. 실패한 데이터는 null로 두고 점수에서 뺀다
+async function getCombinedReport(region, { profile = 'default', season = getCurrentSeason() } = {}) {
+  if (!PROFILE_SCORING[profile] || !SEASONS.includes(season)) {
+    const error = createServiceError(
+      !PROFILE_SCORING[profile] ? 'UNSUPPORTED_PROFILE' : 'UNSUPPORTED_SEASON',
+      !PROFILE_SCORING[profile] ? `지원하지 않는 profile입니다: ${profile}` : `지원하지 않는 season입니다: ${season}`,
+      400
+    );
+    error.supportedProfiles = Object.keys(PROFILE_SCORING);
+    error.supportedSeasons = SEASONS;
+    throw error;
+  }
+
+  const [weatherRes, alertsRes, airRes, tourismRes, festivalRes] = await Promise.allSettled([
+    fetchWeather(region, getCurrentWeather),
+    fetchWeather(region, getWeatherAlerts),
+    requireKey(getAirKoreaApiKey(), 'AIR_KOREA_API_KEY').then(apiKey => getAirQuality(apiKey, { region })),
+    requireKey(getTourismApiKey(), 'TOURISM_API_KEY').then(apiKey => {
+      const entry = REGIONS[region];
+      if (!entry) throw new Error('지역 좌표 없음');
+      return getNearbyAttractions(apiKey, { lat: entry.lat, lng: entry.lng });
+    }),
+    requireKey(getFestivalApiKey(), 'TOURISM_API_KEY').then(apiKey => getRegionFestivals(apiKey, region))
+  ]);
+
+  const weather = weatherRes.status === 'fulfilled' ? weatherRes.value : null;
+  const airQuality = airRes.status === 'fulfilled' ? airRes.value : null;
+  const tourism = tourismRes.status === 'fulfilled' ? tourismRes.value : null;
+  const alerts = alertsRes.status === 'fulfilled' ? alertsRes.value : null;
+  const festivals = festivalRes.status === 'fulfilled' ? festivalRes.value : null;
+
+  // 어떤 데이터가 빠졌는지 응답에 남긴다 (랭킹이 부분 결과를 표시하는 데 쓴다)
+  const sources = describeSources({
+    weather: weatherRes,
+    alerts: alertsRes,
+    airQuality: airRes,
+    tourism: tourismRes,
+    festivals: festivalRes
+  });
+
+  // 종합 점수 계산
+  const config = resolveScoringConfig(profile, season);
+  const result = scoreRegion({ weather, airQuality, tourism, festivals }, config);
+  const factors = result.factors;
+
+  // 특보가 발효 중이면 다른 요인과 관계없이 점수를 깎는다
+  const activeAlerts = alerts?.active || [];
+  const { score, downgrade } = applyAlertCap(result.score, activeAlerts);
+  if (downgrade) factors.unshift(`⚠️ ${downgrade.reason}`);
+
+  const grade = (SCORE_GRADES.find(([min]) => score >= min) || [null, 'F'])[1];
+
+  return {
+    region,
+    weather,
+    airQuality,
+    tourism,
+    festivals: festivals ? festivals.stats : null,
+    alerts: activeAlerts,
+    downgrade,
+    score: Math.round(score),
+    grade,
+    factors: factors.slice(0, 3),
+    breakdown: result.breakdown,
+    scoring: {
+      profile,
+      season,
+      weights: config.weights,
+      thresholds: config.thresholds,
+      coverage: result.coverage
+    },
+    sources,
+    failedSources: Object.keys(sources).filter(key => !sources[key].available),
+    recommendation: score >= 70 ? '추천' : score >= 50 ? '보통' : '비추천',
+    message: downgrade ? `🚨 ${downgrade.reason} - 야외 활동 주의` : '🌟 통합 관광 정보',
+    time: new Date().toLocaleString('ko-KR')
+  };
+}
+
+async function fetchWeather(region, service) {
+  const apiKey = await requireKey(process.env.WEATHER_API_KEY, 'WEATHER_API_KEY');
+  const location = resolveLocation({}, region);
+  if (location.error) throw new Error(location.message);
+  return service(apiKey, { region, location });
+}
+
+function describeSources(results) {
+  const sources = {};
+  Object.entries(results).forEach(([key, result]) => {
+    sources[key] = result.status === 'fulfilled'
+      ? { available: true }
+      : { available: false, error: result.reason?.message || '알 수 없는 오류' };
+  });
+  return sources;
+}
+
+// 키가 없으면 샘플 데이터 대신 데이터 없음으로 처리한다
+async function requireKey(apiKey, name) {
+  if (!apiKey) throw new Error(`${name} 환경 변수 없음`);
+  return apiKey;
+}
+
+// === 점수 엔진 ===
+// 데이터가 없는 요인은 빼고, 남은 가중치 기준으로 100점 환산한다 (coverage로 반영 비율을 알린다)
+function scoreRegion(context, { weights, thresholds }) {
+  const breakdown = SCORING_FACTORS
+    .filter(factor => (weights[factor.key] || 0) > 0)
+    .map(factor => {
+      const weight = weights[factor.key];
+      const result = factor.evaluate(context, thresholds);
+      return {
+        key: factor.key,
+        name: factor.name,
+        weight,
+        available: result !== null,
+        ratio: result ? Math.round(result.ratio * 100) / 100 : null,
+        points: result ? Math.round(weight * result.ratio * 10) / 10 : 0,
+        reason: result ? result.reason : '데이터 없음'
+      };
+    });
+
+  const totalWeight = breakdown.reduce((sum, item) => sum + item.weight, 0);
+  const availableWeight = breakdown.filter(item => item.available).reduce((sum, item) => sum + item.weight, 0);
+  const points = breakdown.reduce((sum, item) => sum + item.points, 0);
+
+  // 점수에 많이 기여한 긍정 요인부터, 그다음 크게 깎인 요인을 보여준다
+  const positives = breakdown.filter(item => item.available && item.ratio >= 0.8).sort((a, b) => b.points - a.points);
+  const negatives = breakdown.filter(item => item.available && item.ratio < 0.5).sort((a, b) => b.weight - a.weight);
+
+  return {
+    score: availableWeight ? (points / availableWeight) * 100 : 0,
+    coverage: totalWeight ? Math.round((availableWeight / totalWeight) * 100) / 100 : 0,
+    breakdown,
+    factors: [...negatives, ...positives].map(item => item.reason)
+  };
+}
+
+// 경보가 하나라도 있으면 경보 상한, 주의보만 있으면 주의보 상한을 적용한다
+function applyAlertCap(score, activeAlerts) {
+  if (!activeAlerts.length) return { score, downgrade: null };
+
+  const severity = activeAlerts.some(alert => alert.severity === 'warning') ? 'warning' : 'advisory';
+  return {
+    score: Math.min(score, ALERT_SCORE_CAPS[severity]),
+    downgrade: {
+      reason: `${activeAlerts.map(alert => alert.title).join(', ')} 발효 중`,
+      severity,
+      cappedAt: ALERT_SCORE_CAPS[severity],
+      originalScore: Math.round(score)
+    }
+  };
+}
+
+function resolveScoringConfig(profile, season) {
+  const profileConfig = PROFILE_SCORING[profile];
+  return [SEASON_SCORING[season], profileConfig, profileConfig.seasons?.[season]]
+    .filter(Boolean)
+    .reduce(mergeScoringConfig, DEFAULT_SCORING);
+}
+
+function mergeScoringConfig(base, override) {
+  const thresholds = { ...base.thresholds };
+  Object.entries(override.thresholds || {}).forEach(([key, value]) => {
+    thresholds[key] = { ...thresholds[key], ...value };
+  });
+
+  return {
+    weights: { ...base.weights, ...override.weights },
+    thresholds
+  };
+}
+
+function getCurrentSeason() {
+  const month = new Date(Date.now() + 9 * 60 * 60 * 1000).getUTCMonth() + 1;
+  if (month >= 3 && month <= 5) return 'spring';
+  if (month >= 6 && month <= 8) return 'summer';
+  if (month >= 9 && month <= 11) return 'autumn';
+  return 'winter';
+}
+
+function runTests() {
+  const weather = (temperature, sky = null, precipitation = null) => ({ weather: { temperature, sky, precipitation } });
+  const pick = (result, keys) => Object.fromEntries(keys.map(key => [key, result[key]]));
+  const temperatureOf = (profile, season) => resolveScoringConfig(profile, season).thresholds.temperature;
+  const weightSums = SEASONS.flatMap(season => Object.keys(PROFILE_SCORING).map(profile =>
+    Object.values(resolveScoringConfig(profile, season).weights).reduce((sum, weight) => sum + weight, 0)));
+
+  const simple = {
+    weights: { temperature: 30, sky: 20, precipitation: 50 },
+    thresholds: { temperature: { ideal: [15, 25], tolerance: 8 } }
+  };
+  const alert = (severity, title) => ({ severity, title });
+
+  const cases = [
+    // 데이터가 없는 요인은 빼고 남은 가중치로 100점 환산한다: (30×1 + 20×0.3) / 50
+    ['재정규화', pick(scoreRegion(weather(20, '흐림'), simple), ['score', 'coverage']), { score: 72, coverage: 0.5 }],
+    ['모든 데이터 없음', pick(scoreRegion({}, simple), ['score', 'coverage']), { score: 0, coverage: 0 }],
+    ['모든 데이터 있음', pick(scoreRegion(weather(20, '맑음', '없음'), simple), ['score', 'coverage']), { score: 100, coverage: 1 }],
+    // 가중치 0인 요인은 breakdown과 coverage 계산에서 빠진다
+    ['가중치 0 요인 제외', scoreRegion(weather(20), { ...simple, weights: { temperature: 100, festivals: 0 } }).breakdown.map(item => item.key), ['temperature']],
+    ['적정 범위 밖 선형 감점', scoreRegion(weather(29), simple).breakdown[0].ratio, 0.5],
+    ['관광지 목표 대비', scoreRegion({ tourism: { totalCount: 15, radius: 5000 } }, DEFAULT_SCORING).breakdown.find(item => item.key === 'attractions').ratio, 0.5],
+    // 기본값 ← 계절 ← 프로필 ← 프로필의 계절별 설정
+    ['계절 설정', temperatureOf('default', 'summer'), { ideal: [20, 28], tolerance: 8 }],
+    ['프로필이 계절을 덮어씀', temperatureOf('hiking', 'summer'), { ideal: [8, 20], tolerance: 8 }],
+    ['프로필 계절 설정이 마지막', temperatureOf('hiking', 'winter'), { ideal: [-5, 8], tolerance: 10 }],
+    ['덮어쓰지 않은 값은 유지', temperatureOf('beach', 'winter'), { ideal: [25, 32], tolerance: 6 }],
+    ['가중치 합 100', [...new Set(weightSums)], [100]],
+    ['임계값 병합', mergeScoringConfig(
+      { weights: { a: 1, b: 2 }, thresholds: { t: { ideal: [1, 2], tolerance: 3 } } },
+      { weights: { b: 5 }, thresholds: { t: { ideal: [4, 5] } } }
+    ), { weights: { a: 1, b: 5 }, thresholds: { t: { ideal: [4, 5], tolerance: 3 } } }],
+    ['기본 설정 불변', DEFAULT_SCORING.thresholds.temperature, { ideal: [15, 25], tolerance: 8 }],
+    // 특보 상한: 경보 20, 주의보 55. 이미 낮은 점수는 올리지 않는다
+    ['경보 상한', applyAlertCap(90, [alert('warning', '호우경보')]).score, ALERT_SCORE_CAPS.warning],
+    ['주의보 상한', applyAlertCap(90, [alert('advisory', '강풍주의보')]).score, ALERT_SCORE_CAPS.advisory],
+    ['경보·주의보 동시', pick(applyAlertCap(90, [alert('advisory', '강풍주의보'), alert('warning', '호우경보')]).downgrade, ['severity', 'cappedAt', 'originalScore']),
+      { severity: 'warning', cappedAt: 20, originalScore: 90 }],
+    ['상한보다 낮은 점수', applyAlertCap(40, [alert('advisory', '강풍주의보')]).score, 40],
+    ['특보 없음', applyAlertCap(90, []), { score: 90, downgrade: null }]
+  ];
+
+  const failures = cases
+    .filter(([, actual, expected]) => JSON.stringify(actual) !== JSON.stringify(expected))
+    .map(([name, actual, expected]) => ({ name, actual, expected }));
+
+  failures.forEach(({ name, actual, expected }) => {
+    console.error(`❌ ${name}: ${JSON.stringify(actual)} (기대값 ${JSON.stringify(expected)})`);
+  });
+  console.log(`🧪 combined-service: ${cases.length - failures.length}/${cases.length} 통과`);
+
+  return { passed: cases.length - failures.length, failed: failures.length, failures };
+}
+
+module.exports = {
+  ALERT_SCORE_CAPS,
+  PROFILE_SCORING,
+  SEASONS,
+  getCombinedReport,
+  getCurrentSeason,
+  scoreRegion,
+  resolveScoringConfig,
+  mergeScoringConfig,
+  applyAlertCap,
+  runTests
+};
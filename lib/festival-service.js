@@ -0,0 +1,456 @@
+// 한국관광공사 행사정보(searchFestival2) 서비스: 조회 조건 해석, 페이지 조회, 축제 응답 가공.
+// /api/festivals 핸들러와 /api/combined가 함께 쓴다
+const { cached } = require('./cache');
+const { createServiceError } = require('./service-error');
+const { findRegion } = require('./regions');
+
+// 관광공사 분류체계(cat3) 기반 축제/공연/행사 분류
+const FESTIVAL_CATEGORIES = {
+  'tourism-festival': { name: '문화관광축제', icon: '🏮', cat3: ['A02070100'] },
+  'festival': { name: '일반축제', icon: '🎊', cat3: ['A02070200'] },
+  'traditional': { name: '전통공연', icon: '🥁', cat3: ['A02080100'] },
+  'theater': { name: '연극/뮤지컬/오페라', icon: '🎭', cat3: ['A02080200', 'A02080300', 'A02080400'] },
+  'exhibition': { name: '전시회/박람회', icon: '🖼️', cat3: ['A02080500', 'A02080600', 'A02080700'] },
+  'dance': { name: '무용', icon: '💃', cat3: ['A02080800'] },
+  'concert': { name: '음악회/콘서트', icon: '🎵', cat3: ['A02080900', 'A02081000'] },
+  'film': { name: '영화', icon: '🎬', cat3: ['A02081100'] },
+  'sports': { name: '스포츠경기', icon: '🏟️', cat3: ['A02081200'] },
+  'etc': { name: '기타행사', icon: '🎪', cat3: ['A02081300'] }
+};
+
+const FESTIVAL_API_URL = 'https://apis.data.go.kr/B551011/KorService2/searchFestival2';
+const FESTIVAL_PAGE_SIZE = 100;
+const MAX_FESTIVAL_PAGES = 5;
+const KST_OFFSET = 9 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FESTIVAL_CACHE_TTL = 30 * 60 * 1000;
+
+// API 키 확인 (tourism과 동일한 우선순위)
+function getFestivalApiKey() {
+    const possibleKeys = [
+        process.env.TOURISM_API_KEY,
+        process.env.TOUR_API_KEY,
+        process.env.JEONBUK_API_KEY,
+        process.env.REGIONAL_API_KEY
+    ];
+    return possibleKeys.find(key => key) || null;
+}
+
+// === 지역 축제 요약 (종합 점수용) ===
+async function getRegionFestivals(apiKey, region, limit = 10) {
+    const today = getKstToday();
+    const filters = parseFestivalFilters({}, region, 'all', today);
+    const result = await fetchFestivalEvents(apiKey, {
+        areaCode: filters.areaCode,
+        sigunguCode: filters.sigunguCode,
+        eventStartDate: today
+    });
+    if (!result.success) {
+        throw createServiceError('FESTIVALS_UNAVAILABLE', `${region} 축제 정보를 가져올 수 없습니다: ${result.error}`);
+    }
+    return buildFestivalData(result, filters, today, limit);
+}
+
+// === 한국관광공사 행사정보 조회 ===
+// 같은 조건의 조회 결과는 캐시하고, 실패 결과는 캐시하지 않는다
+function fetchFestivalEvents(apiKey, params) {
+    return cached(`festival:${JSON.stringify(params)}`, FESTIVAL_CACHE_TTL, async () => {
+        const result = await requestFestivalEvents(apiKey, params);
+        if (!result.success) throw new Error(result.error);
+        return result;
+    }).catch(error => ({ success: false, error: error.message }));
+}
+
+// 기간은 API에 넘겨 서버에서 거른다. 페이지 상한에 걸려 다 받지 못하면 truncated로 알린다
+async function requestFestivalEvents(apiKey, { areaCode, sigunguCode, eventStartDate, eventEndDate }) {
+    const items = [];
+    let totalCount = 0;
+    let truncated = false;
+
+    for (let pageNo = 1; pageNo <= MAX_FESTIVAL_PAGES; pageNo++) {
+        const page = await fetchFestivalPage(apiKey, { areaCode, sigunguCode, eventStartDate, eventEndDate, pageNo });
+        if (!page.success) {
+            // 첫 페이지 이후 실패는 이미 받은 데이터로 응답한다
+            if (pageNo === 1) return page;
+            console.log(`⚠️ ${pageNo}페이지 조회 실패, 부분 결과 사용:`, page.error);
+            truncated = true;
+            break;
+        }
+
+        items.push(...page.items);
+        totalCount = page.totalCount;
+
+        if (items.length >= totalCount || page.items.length < FESTIVAL_PAGE_SIZE) break;
+        if (pageNo === MAX_FESTIVAL_PAGES) {
+            console.log(`⚠️ ${MAX_FESTIVAL_PAGES}페이지 상한 도달: ${totalCount}건 중 ${items.length}건만 조회`);
+            truncated = true;
+        }
+    }
+
+    return { success: true, items, totalCount, truncated };
+}
+
+async function fetchFestivalPage(apiKey, { areaCode, sigunguCode, eventStartDate, eventEndDate, pageNo }) {
+    try {
+        const params = new URLSearchParams({
+            serviceKey: apiKey,
+            numOfRows: FESTIVAL_PAGE_SIZE,
+            pageNo,
+            MobileOS: 'ETC',
+            MobileApp: 'HealingK',
+            _type: 'json',
+            // 행사일 정렬은 제공되지 않아 수정일순(C)으로 받고, 행사일 순서는 받은 뒤 맞춘다
+            arrange: 'C',
+            eventStartDate
+        });
+
+        if (eventEndDate) params.append('eventEndDate', eventEndDate);
+        if (areaCode) params.append('areaCode', areaCode);
+        if (sigunguCode) params.append('sigunguCode', sigunguCode);
+
+        console.log(`📡 축제 요청: areaCode=${areaCode || '전국'}, sigunguCode=${sigunguCode || '-'}, eventStartDate=${eventStartDate}, eventEndDate=${eventEndDate || '-'}, pageNo=${pageNo}`);
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 15000);
+
+        const response = await fetch(`${FESTIVAL_API_URL}?${params.toString()}`, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json',
+                'User-Agent': 'HealingK-Festival/1.0'
+            },
+            signal: controller.signal
+        });
+
+        clearTimeout(timeoutId);
+
+        if (!response.ok) {
+            return { success: false, error: `HTTP ${response.status}` };
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+
+        // 인증 오류 등은 JSON 요청에도 XML로 응답된다
+        if (!contentType.includes('application/json')) {
+            const text = await response.text();
+            const errorMsg = text.match(/<returnAuthMsg>(.*?)<\/returnAuthMsg>/)?.[1] ||
+                            text.match(/<resultMsg>(.*?)<\/resultMsg>/)?.[1] ||
+                            '알 수 없는 응답 형식';
+            console.log('❌ 축제 XML 오류 응답:', errorMsg);
+            return { success: false, error: errorMsg };
+        }
+
+        const data = await response.json();
+        const resultCode = data.response?.header?.resultCode;
+
+        if (resultCode !== '0000' && resultCode !== '00') {
+            const errorMsg = data.response?.header?.resultMsg || '알 수 없는 오류';
+            console.log('❌ 축제 API 오류 코드:', resultCode, errorMsg);
+            return { success: false, error: errorMsg };
+        }
+
+        const items = data.response?.body?.items?.item || [];
+        return {
+            success: true,
+            items: Array.isArray(items) ? items : [items],
+            totalCount: data.response?.body?.totalCount || 0
+        };
+
+    } catch (error) {
+        console.log('❌ 축제 API 호출 오류:', error.message);
+        return { success: false, error: error.name === 'AbortError' ? '요청 시간 초과' : error.message };
+    }
+}
+
+// === 요청 파라미터 → 조회 조건 ===
+function parseFestivalFilters(query, region, category, today) {
+    const regionInfo = resolveRegion(region);
+    if (!regionInfo) {
+        throw createFilterError('UNSUPPORTED_REGION', `지원하지 않는 지역입니다: ${region}`);
+    }
+
+    const categoryKey = resolveCategory(category);
+    if (categoryKey === null) {
+        throw createFilterError('UNSUPPORTED_CATEGORY', `지원하지 않는 카테고리입니다: ${category}`);
+    }
+
+    // sigunguCode를 직접 지정하면 지역 테이블의 시군구보다 우선한다
+    let sigunguCode = regionInfo.sigunguCode || null;
+    if (query.sigunguCode) {
+        if (!/^\d{1,5}$/.test(query.sigunguCode) || !regionInfo.areaCode) {
+            throw createFilterError('INVALID_SIGUNGU', '시군구코드는 숫자이며 시도 단위 지역과 함께 지정해야 합니다');
+        }
+        sigunguCode = parseInt(query.sigunguCode);
+    }
+
+    return {
+        regionName: regionInfo.name,
+        areaCode: regionInfo.areaCode || null,
+        sigunguCode,
+        categoryKey,
+        range: resolveDateRange(query, today)
+    };
+}
+
+function resolveRegion(region) {
+    const value = String(region).trim();
+    if (value === '' || value.toLowerCase() === 'all' || value === '전국') {
+        return { name: '전국', areaCode: null };
+    }
+    // 지역명(한글/영문) → 관광공사 지역코드(areaCode) / 시군구코드(sigunguCode)
+    const entry = findRegion(value);
+    return entry ? { name: entry.name, ...entry.kto } : null;
+}
+
+function resolveCategory(category) {
+    const value = String(category).trim();
+    if (value === '' || value.toLowerCase() === 'all' || value === '전체') return 'all';
+    const entry = Object.entries(FESTIVAL_CATEGORIES)
+        .find(([key, info]) => key === value.toLowerCase() || info.name === value || info.cat3.includes(value));
+    return entry ? entry[0] : null;
+}
+
+// from/to(YYYYMMDD 또는 YYYY-MM-DD)가 month/year보다 우선한다.
+// year 없이 지난 달을 지정하면 다가오는 해의 같은 달로 본다.
+function resolveDateRange(query, today) {
+    const from = normalizeYmd(String(query.from || '').replace(/-/g, ''));
+    const to = normalizeYmd(String(query.to || '').replace(/-/g, ''));
+
+    if (query.from || query.to) {
+        if ((query.from && !from) || (query.to && !to)) {
+            throw createFilterError('INVALID_DATE', '날짜는 YYYYMMDD 또는 YYYY-MM-DD 형식이어야 합니다');
+        }
+        const start = from || today;
+        const end = to || addDays(start, 365);
+        if (end < start) {
+            throw createFilterError('INVALID_DATE', '종료일은 시작일보다 빠를 수 없습니다');
+        }
+        return { start, end, type: 'custom' };
+    }
+
+    if (query.month && query.month !== 'all') {
+        const month = parseInt(query.month);
+        if (isNaN(month) || month < 1 || month > 12) {
+            throw createFilterError('INVALID_MONTH', 'month는 1~12 사이여야 합니다');
+        }
+        const currentYear = parseInt(today.substring(0, 4));
+        const currentMonth = parseInt(today.substring(4, 6));
+        const year = query.year ? parseInt(query.year) : (month < currentMonth ? currentYear + 1 : currentYear);
+        if (isNaN(year) || year < 2000 || year > 2100) {
+            throw createFilterError('INVALID_YEAR', 'year 값이 올바르지 않습니다');
+        }
+        const start = `${year}${String(month).padStart(2, '0')}01`;
+        const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        return { start, end: `${year}${String(month).padStart(2, '0')}${lastDay}`, type: 'month' };
+    }
+
+    return null;
+}
+
+function createFilterError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function describeFilters(filters) {
+    return {
+        region: filters.regionName,
+        areaCode: filters.areaCode,
+        sigunguCode: filters.sigunguCode,
+        category: filters.categoryKey,
+        categoryName: filters.categoryKey === 'all' ? '전체' : FESTIVAL_CATEGORIES[filters.categoryKey].name,
+        dateRange: filters.range ? {
+            from: formatDate(filters.range.start),
+            to: formatDate(filters.range.end),
+            type: filters.range.type
+        } : null
+    };
+}
+
+// === 행사정보를 축제 응답 형식으로 변환 ===
+// result는 fetchFestivalEvents의 결과 ({ items, totalCount, truncated })
+function buildFestivalData({ items, totalCount, truncated }, filters, today, limit) {
+    const weekend = getUpcomingWeekend(today);
+    const { range, categoryKey } = filters;
+
+    // 기간을 지정하지 않으면 종료된 행사는 제외하고, 지정하면 기간과 겹치는 행사만 남긴다
+    const festivals = items
+        .map(item => transformFestivalEvent(item, filters.regionName, today, weekend))
+        .filter(festival => festival && (range ?
+            festival.eventStartDate.replace(/-/g, '') <= range.end && festival.eventEndDate.replace(/-/g, '') >= range.start :
+            festival.status !== 'ended'))
+        .filter(festival => categoryKey === 'all' || festival.categoryKey === categoryKey)
+        .sort((a, b) => a.eventStartDate.localeCompare(b.eventStartDate));
+
+    const ongoing = festivals
+        .filter(f => f.status === 'ongoing')
+        .sort((a, b) => a.daysUntilEnd - b.daysUntilEnd);
+    const upcoming = festivals
+        .filter(f => f.status === 'upcoming')
+        .sort((a, b) => a.daysUntilStart - b.daysUntilStart);
+    const thisWeekend = festivals.filter(f => f.isThisWeekend);
+    const ended = festivals.filter(f => f.status === 'ended');
+
+    return {
+        festivals: festivals.slice(0, range ? FESTIVAL_PAGE_SIZE * MAX_FESTIVAL_PAGES : limit),
+        ongoing: ongoing.slice(0, limit),
+        upcoming: upcoming.slice(0, limit),
+        thisWeekend: thisWeekend.slice(0, limit),
+        stats: {
+            total: festivals.length,
+            ongoing: ongoing.length,
+            upcoming: upcoming.length,
+            thisWeekend: thisWeekend.length,
+            ended: ended.length,
+            categories: countByCategory(festivals),
+            regions: filters.areaCode ? 1 : new Set(festivals.map(f => f.areaCode).filter(Boolean)).size,
+            referenceDate: formatDate(today),
+            weekend: { start: formatDate(weekend.start), end: formatDate(weekend.end) },
+            // API가 알려준 전체 건수와 실제로 받은 건수. truncated면 total은 일부만 센 값이다
+            apiTotalCount: totalCount,
+            fetched: items.length,
+            truncated: Boolean(truncated),
+            source: 'kto_search_festival'
+        }
+    };
+}
+
+function transformFestivalEvent(item, region, today, weekend) {
+    const startDate = normalizeYmd(item.eventstartdate);
+    const endDate = normalizeYmd(item.eventenddate) || startDate;
+
+    // 일정이 없는 행사는 상태를 판단할 수 없으므로 제외
+    if (!startDate) return null;
+
+    const status = today < startDate ? 'upcoming' : today > endDate ? 'ended' : 'ongoing';
+    const daysUntilStart = daysBetween(today, startDate);
+    const daysUntilEnd = daysBetween(today, endDate);
+    const categoryKey = getCategoryKey(item.cat3);
+    const categoryInfo = FESTIVAL_CATEGORIES[categoryKey];
+
+    return {
+        id: item.contentid,
+        title: stripTags(item.title),
+        location: [item.addr1, item.addr2].filter(Boolean).join(' '),
+        region,
+        startDate: formatDate(startDate),
+        endDate: formatDate(endDate),
+        eventStartDate: formatIsoDate(startDate),
+        eventEndDate: formatIsoDate(endDate),
+        status,
+        isThisWeekend: startDate <= weekend.end && endDate >= weekend.start,
+        tel: item.tel || null,
+        mapx: item.mapx ? parseFloat(item.mapx) : null,
+        mapy: item.mapy ? parseFloat(item.mapy) : null,
+        image: validateImageUrl(item.firstimage),
+        thumbnail: validateImageUrl(item.firstimage2),
+        category: categoryInfo ? categoryInfo.name : null,
+        categoryKey,
+        categoryIcon: categoryInfo ? categoryInfo.icon : '🎪',
+        daysLeft: status === 'ongoing' ?
+            (daysUntilEnd === 0 ? '오늘 종료' : `진행중 (${daysUntilEnd}일 남음)`) :
+            status === 'ended' ? '종료' : `${daysUntilStart}일 후`,
+        daysUntilStart,
+        daysUntilEnd,
+        areaCode: item.areacode || null,
+        sigunguCode: item.sigungucode || null,
+        cat2: item.cat2 || null,
+        cat3: item.cat3 || null,
+        modifiedTime: item.modifiedtime || null
+    };
+}
+
+// === 유틸리티 함수들 ===
+
+function getCategoryKey(cat3) {
+    if (!cat3) return null;
+    const entry = Object.entries(FESTIVAL_CATEGORIES).find(([, info]) => info.cat3.includes(cat3));
+    return entry ? entry[0] : null;
+}
+
+function countByCategory(festivals) {
+    return festivals.reduce((counts, festival) => {
+        const key = festival.categoryKey || 'unclassified';
+        counts[key] = (counts[key] || 0) + 1;
+        return counts;
+    }, {});
+}
+
+function getKstToday(now = Date.now()) {
+    return new Date(now + KST_OFFSET).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function normalizeYmd(value) {
+    return value && /^\d{8}$/.test(String(value)) ? String(value) : null;
+}
+
+function toUtcDay(ymd) {
+    return Date.UTC(parseInt(ymd.substring(0, 4)), parseInt(ymd.substring(4, 6)) - 1, parseInt(ymd.substring(6, 8)));
+}
+
+function addDays(ymd, days) {
+    return new Date(toUtcDay(ymd) + days * DAY_MS).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function daysBetween(fromYmd, toYmd) {
+    return Math.round((toUtcDay(toYmd) - toUtcDay(fromYmd)) / DAY_MS);
+}
+
+// 오늘이 주말이면 이번 주말, 평일이면 다가오는 토·일
+function getUpcomingWeekend(today) {
+    const dayOfWeek = new Date(toUtcDay(today)).getUTCDay();
+    if (dayOfWeek === 0) return { start: today, end: today };
+    const start = addDays(today, 6 - dayOfWeek);
+    return { start, end: addDays(start, 1) };
+}
+
+function formatIsoDate(ymd) {
+    return `${ymd.substring(0, 4)}-${ymd.substring(4, 6)}-${ymd.substring(6, 8)}`;
+}
+
+function formatDate(ymd) {
+    return `${ymd.substring(0, 4)}.${ymd.substring(4, 6)}.${ymd.substring(6, 8)}`;
+}
+
+function stripTags(text) {
+    return text ? String(text).replace(/<[^>]*>/g, '').trim() : null;
+}
+
+function validateImageUrl(url) {
+    if (!url || url === '') return null;
+    if (url.startsWith('https://')) return url;
+    if (url.startsWith('http://')) return url.replace(/^http:\/\//, 'https://');
+    return null;
+}
+
+function getEmptyFestivalData(region) {
+    return {
+        festivals: [],
+        ongoing: [],
+        upcoming: [],
+        thisWeekend: [],
+        stats: {
+            total: 0,
+            ongoing: 0,
+            upcoming: 0,
+            thisWeekend: 0,
+            regions: 1,
+            region,
+            source: 'unavailable'
+        }
+    };
+}
+
+module.exports = {
+    FESTIVAL_CATEGORIES,
+    FESTIVAL_PAGE_SIZE,
+    getFestivalApiKey,
+    getRegionFestivals,
+    fetchFestivalEvents,
+    parseFestivalFilters,
+    buildFestivalData,
+    describeFilters,
+    getEmptyFestivalData,
+    getKstToday
+};
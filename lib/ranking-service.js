@@ -0,0 +1,165 @@
+// 지역 랭킹 계산과 스냅샷 기록.
+// /api/ranking(사용자 요청, 읽기 전용)과 /api/ranking/snapshot(예약 실행, 유일하게 기록한다)이 같은 계산을 쓴다
+const { getCombinedReport } = require('./combined-service');
+const { REGIONS, DEFAULT_RANKING_REGIONS, findRegion, listRegionsInProvince } = require('./regions');
+const { saveSnapshot } = require('./ranking-store');
+
+// 점수에 반영된 데이터가 이 비율(가중치 기준)보다 적으면 순위에서 뺀다
+const MIN_RANKING_COMPLETENESS = 0.5;
+// 한 번에 계산하는 지역 수 상한 (지역마다 외부 API를 5곳씩 호출한다)
+const MAX_RANKING_REGIONS = 30;
+// 동시에 계산하는 지역 수. 지역 30곳을 한꺼번에 보내면 공공 API 호출이 150건 몰린다
+const RANKING_CONCURRENCY = 4;
+// 같은 지역 구성의 랭킹은 이 구간(정시 기준 1시간)마다 한 번만 스냅샷으로 남긴다 (/api/ranking/history에서 조회)
+const SNAPSHOT_INTERVAL_MS = 60 * 60 * 1000;
+
+// regions=서울,부산 > province=강원(소속 시군구) > 기본 지역 순으로 고른다. top=N은 상위 N개만 남긴다
+function resolveRankingRegions(query) {
+  let top = null;
+  if (query.top !== undefined) {
+    top = parseInt(query.top);
+    if (isNaN(top) || top < 1) {
+      return { error: 'INVALID_TOP', message: 'top은 1 이상의 정수여야 합니다' };
+    }
+  }
+
+  let regions = DEFAULT_RANKING_REGIONS;
+  let province = null;
+
+  if (query.regions) {
+    const names = String(query.regions).split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = names.filter(name => !findRegion(name));
+    if (unknown.length) {
+      return { error: 'UNSUPPORTED_REGION', message: `지원하지 않는 지역입니다: ${unknown.join(', ')}` };
+    }
+    regions = [...new Set(names.map(name => findRegion(name).name))];
+  } else if (query.province) {
+    const entry = findRegion(query.province);
+    const cities = listRegionsInProvince(query.province);
+    if (!cities) {
+      return { error: 'UNSUPPORTED_PROVINCE', message: `시도가 아닙니다: ${query.province}` };
+    }
+    province = entry.name;
+    // 등록된 시군구가 없는 특별·광역시는 시도 자체를 순위에 올린다
+    regions = cities.length ? cities : [entry.name];
+  }
+
+  if (regions.length > MAX_RANKING_REGIONS) {
+    return { error: 'TOO_MANY_REGIONS', message: `한 번에 ${MAX_RANKING_REGIONS}개 지역까지 조회할 수 있습니다` };
+  }
+
+  return { regions, province, top };
+}
+
+// 지역마다 종합 리포트를 만들어 점수순으로 정렬한다
+async function computeRanking(regions) {
+  return rankResults(await fetchReports(regions));
+}
+
+// 같은 함수 안에서 직접 계산한다 (기상특보 등 공통 데이터는 캐시를 함께 쓴다)
+async function fetchReports(regions) {
+  return mapWithConcurrency(regions, RANKING_CONCURRENCY, async region => {
+    try {
+      return { region, report: await getCombinedReport(region) };
+    } catch (error) {
+      return { region, error: error.message };
+    }
+  });
+}
+
+// 조회에 실패하거나 데이터가 부족한 지역은 점수를 지어내지 않고 unranked로 뺀다
+function rankResults(results) {
+  const ranked = [];
+  const unranked = [];
+  results.forEach(({ region, report, error }) => {
+    const dataCompleteness = report ? report.scoring.coverage : 0;
+    if (!report || dataCompleteness < MIN_RANKING_COMPLETENESS) {
+      unranked.push({
+        region,
+        dataCompleteness,
+        failedSources: report ? report.failedSources : ['combined'],
+        reason: error
+          ? `통합 데이터 조회 실패: ${error}`
+          : `점수에 반영된 데이터 부족 (${Math.round(dataCompleteness * 100)}%)`
+      });
+      return;
+    }
+    ranked.push(report);
+  });
+
+  // 점수순으로 정렬 (같은 점수면 데이터가 더 온전한 지역이 앞선다)
+  ranked.sort((a, b) => b.score - a.score || b.scoring.coverage - a.scoring.coverage);
+
+  // 요청한 모든 지역 기준 평균 (조회 실패는 0으로 센다)
+  const completeness = results.length
+    ? results.reduce((sum, { report }) => sum + (report ? report.scoring.coverage : 0), 0) / results.length
+    : 0;
+
+  return { results, ranked, unranked, completeness };
+}
+
+// 예약 실행이 기록하는 지역 구성: 기본 지역과 시도별 구성 전체.
+// 기본 지역에 없는 시군구(예: 속초)도 소속 시도 구성으로 기록되어 ?region=으로 추이를 볼 수 있다
+function listSnapshotSelections() {
+  const provinces = Object.keys(REGIONS).filter(name => REGIONS[name].level === 'province');
+  return [
+    { regions: DEFAULT_RANKING_REGIONS, province: null },
+    ...provinces.map(province => resolveRankingRegions({ province }))
+  ];
+}
+
+// 여러 지역 구성을 기록할 때 지역마다 한 번만 조회하고, 구성별 순위는 그 결과에서 나눠 매긴다
+async function computeRankings(selections) {
+  const regions = [...new Set(selections.flatMap(selection => selection.regions))];
+  const results = await fetchReports(regions);
+  const byRegion = new Map(results.map(result => [result.region, result]));
+
+  return selections.map(selection => ({
+    ...selection,
+    ...rankResults(selection.regions.map(region => byRegion.get(region)))
+  }));
+}
+
+// 스냅샷을 묶는 키. 같은 지역 구성이면 요청 순서와 관계없이 같은 키가 된다
+function getSnapshotKey(regions) {
+  return [...regions].sort().join(',');
+}
+
+// 데이터 부족으로 빠진 지역은 기록하지 않는다 (추이가 지어낸 점수로 채워지지 않게)
+async function recordSnapshot(regions, ranked, now = new Date()) {
+  return saveSnapshot({
+    takenAt: now.toISOString(),
+    key: getSnapshotKey(regions),
+    regions: ranked.map((item, index) => ({
+      region: item.region,
+      rank: index + 1,
+      score: item.score,
+      grade: item.grade,
+      dataCompleteness: item.scoring.coverage
+    }))
+  }, { intervalMs: SNAPSHOT_INTERVAL_MS });
+}
+
+// 입력 순서대로 결과를 돌려준다. 작업자 limit개가 남은 항목을 하나씩 가져가 처리한다
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+module.exports = {
+  MIN_RANKING_COMPLETENESS,
+  resolveRankingRegions,
+  computeRanking,
+  computeRankings,
+  listSnapshotSelections,
+  getSnapshotKey,
+  recordSnapshot
+};
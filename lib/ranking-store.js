@@ -0,0 +1,152 @@
+// 랭킹 스냅샷 파일 저장소.
+// KST 날짜별 JSON Lines 파일(YYYY-MM-DD.jsonl)에 스냅샷을 한 줄씩 덧붙인다.
+// 인스턴스마다 사라지는 /tmp에 두면 추이가 끊기므로 RANKING_SNAPSHOT_DIR(영구 볼륨)을 반드시 지정한다.
+// Vercel 함수에는 영구 파일 시스템이 없어, 랭킹 기록은 영구 디스크가 있는 자체 서버·컨테이너 배포에서만 쓸 수 있다
+// (README의 배포 조건 참고). Vercel에서는 설정하지 않으면 기록 API가 503으로 응답한다
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createServiceError } = require('./service-error');
+
+const KST_OFFSET = 9 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getSnapshotDir() {
+    const dir = process.env.RANKING_SNAPSHOT_DIR;
+    if (!dir) {
+        throw createServiceError('SNAPSHOT_STORE_NOT_CONFIGURED',
+            'RANKING_SNAPSHOT_DIR 환경 변수가 설정되지 않아 랭킹 기록을 저장·조회할 수 없습니다', 503);
+    }
+    return dir;
+}
+
+// snapshot: { takenAt, key, regions: [{ region, rank, score, grade, dataCompleteness }] }
+// 같은 key는 intervalMs 구간마다 한 번만 저장한다. 구간 표식 파일을 없을 때만 만들어('wx')
+// 동시에 들어온 요청·Cron 중 하나만 덧붙이게 한다
+async function saveSnapshot(snapshot, { intervalMs }) {
+    const dir = getSnapshotDir();
+    const date = toKstDate(snapshot.takenAt);
+    const slotStart = new Date(Math.floor(Date.parse(snapshot.takenAt) / intervalMs) * intervalMs).toISOString();
+    const keyHash = crypto.createHash('sha1').update(snapshot.key).digest('hex').slice(0, 12);
+    const claimDir = path.join(dir, 'claims', date);
+    const claim = path.join(claimDir, `${keyHash}-${slotStart.replace(/[-:.]/g, '')}`);
+
+    await fs.mkdir(claimDir, { recursive: true });
+    try {
+        await fs.writeFile(claim, snapshot.takenAt, { flag: 'wx' });
+    } catch (error) {
+        if (error.code === 'EEXIST') return { saved: false, slotStart };
+        throw error;
+    }
+
+    try {
+        await fs.appendFile(path.join(dir, `${date}.jsonl`), `${JSON.stringify(snapshot)}\n`, 'utf8');
+    } catch (error) {
+        // 덧붙이지 못했으면 표식을 지워 다음 요청이 이 구간을 다시 기록할 수 있게 한다
+        await fs.rm(claim, { force: true });
+        throw error;
+    }
+    return { saved: true, takenAt: snapshot.takenAt, slotStart };
+}
+
+// from/to는 KST 날짜(YYYY-MM-DD), 양 끝을 포함한다
+async function readSnapshots({ from, to }) {
+    const dir = getSnapshotDir();
+    const snapshots = [];
+    for (let date = from; date <= to; date = shiftDate(date, 1)) {
+        let text;
+        try {
+            text = await fs.readFile(path.join(dir, `${date}.jsonl`), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') continue;
+            throw error;
+        }
+
+        // 쓰는 도중 끊긴 마지막 줄 등 깨진 줄은 건너뛴다
+        text.split('\n').filter(Boolean).forEach(line => {
+            try {
+                snapshots.push(JSON.parse(line));
+            } catch (error) {
+                console.warn(`⚠️ 랭킹 스냅샷 줄 무시 (${date}):`, error.message);
+            }
+        });
+    }
+    return snapshots.sort((a, b) => a.takenAt.localeCompare(b.takenAt));
+}
+
+function toKstDate(iso) {
+    return new Date(new Date(iso).getTime() + KST_OFFSET).toISOString().slice(0, 10);
+}
+
+function shiftDate(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// 임시 디렉터리에 실제로 저장해 구간별 중복 방지를 확인한다
+async function runTests() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ranking-store-'));
+    const previousDir = process.env.RANKING_SNAPSHOT_DIR;
+    const hour = 60 * 60 * 1000;
+    const save = (takenAt, key) => saveSnapshot({ takenAt, key, regions: [] }, { intervalMs: hour });
+
+    let cases;
+    try {
+        delete process.env.RANKING_SNAPSHOT_DIR;
+        let missingDir = null;
+        try {
+            getSnapshotDir();
+        } catch (error) {
+            missingDir = error.code;
+        }
+
+        process.env.RANKING_SNAPSHOT_DIR = dir;
+        const first = await save('2026-03-01T03:05:00.000Z', '부산,서울');
+        const sameSlot = await save('2026-03-01T03:55:00.000Z', '부산,서울');
+        const otherKey = await save('2026-03-01T03:10:00.000Z', '서울');
+        const nextSlot = await save('2026-03-01T04:00:00.000Z', '부산,서울');
+        // 같은 구간에 동시에 들어온 저장은 하나만 남는다
+        const concurrent = await Promise.all([1, 2, 3].map(minute => save(`2026-03-01T05:0${minute}:00.000Z`, '부산,서울')));
+        // 깨진 줄은 읽을 때 건너뛴다
+        await fs.appendFile(path.join(dir, '2026-03-01.jsonl'), '{"takenAt":\n', 'utf8');
+        // 15:30Z는 KST로 다음 날이라 다음 날 파일에 들어간다
+        await save('2026-03-01T15:30:00.000Z', '서울');
+        const sameDay = await readSnapshots({ from: '2026-03-01', to: '2026-03-01' });
+        const bothDays = await readSnapshots({ from: '2026-03-01', to: '2026-03-02' });
+
+        cases = [
+            ['저장소 미설정', missingDir, 'SNAPSHOT_STORE_NOT_CONFIGURED'],
+            ['구간 첫 저장', [first.saved, first.slotStart], [true, '2026-03-01T03:00:00.000Z']],
+            ['같은 구간 중복', sameSlot.saved, false],
+            ['다른 구성은 따로 저장', otherKey.saved, true],
+            ['다음 구간', nextSlot.saved, true],
+            ['동시 저장', concurrent.filter(result => result.saved).length, 1],
+            ['날짜 파일 읽기', sameDay.map(item => item.takenAt.slice(11, 16)), ['03:05', '03:10', '04:00', concurrent.find(result => result.saved).takenAt.slice(11, 16)]],
+            ['KST 날짜 경계', bothDays.length - sameDay.length, 1]
+        ];
+    } finally {
+        if (previousDir === undefined) delete process.env.RANKING_SNAPSHOT_DIR;
+        else process.env.RANKING_SNAPSHOT_DIR = previousDir;
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+
+    const failures = cases
+        .filter(([, actual, expected]) => JSON.stringify(actual) !== JSON.stringify(expected))
+        .map(([name, actual, expected]) => ({ name, actual, expected }));
+
+    failures.forEach(({ name, actual, expected }) => {
+        console.error(`❌ ${name}: ${JSON.stringify(actual)} (기대값 ${JSON.stringify(expected)})`);
+    });
+    console.log(`🧪 ranking-store: ${cases.length - failures.length}/${cases.length} 통과`);
+
+    return { passed: cases.length - failures.length, failed: failures.length, failures };
+}
+
+module.exports = {
+    getSnapshotDir,
+    saveSnapshot,
+    readSnapshots,
+    toKstDate,
+    shiftDate,
+    runTests
+};
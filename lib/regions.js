@@ -0,0 +1,219 @@
+// 지역 레지스트리: 17개 시도와 주요 관광 시군구.
+// 서비스 모듈이 지역명 하나로 대표 좌표(기상청 격자), 에어코리아 시도/측정소/예보 권역, 관광공사 지역코드를 찾는다.
+//   level       province(시도) | city(시군구)
+//   province    소속 시도 약칭 (에어코리아 sidoName, 특보 구역 매칭에 쓴다)
+//   lat/lng     대표 좌표 (시청·도청). 측정소가 없으면 여기서 가장 가까운 측정소를 쓴다.
+//               기상청 격자(nx, ny)는 손으로 적지 않고 weather-service의 latLngToGrid로 이 좌표에서 계산한다
+//   airKorea    stationName(대표 측정소, 없으면 근접 측정소), forecastRegion(미세먼지 예보 권역)
+//   kto         관광공사 areaCode / sigunguCode
+//   kmaMid      기상청 중기예보 구역 코드 (육상예보 landRegId, 기온 taRegId). 없는 지역은 가장 가까운 지역의 코드를 쓴다
+const REGIONS = {
+    // === 시도 ===
+    '서울': {
+        en: 'seoul', level: 'province', province: '서울', lat: 37.5665, lng: 126.9780,
+        airKorea: { stationName: '중구', forecastRegion: '서울' }, kto: { areaCode: 1 },
+        kmaMid: { landRegId: '11B00000', taRegId: '11B10101' }
+    },
+    '부산': {
+        en: 'busan', level: 'province', province: '부산', lat: 35.1796, lng: 129.0756,
+        airKorea: { stationName: '광복동', forecastRegion: '부산' }, kto: { areaCode: 6 },
+        kmaMid: { landRegId: '11H20000', taRegId: '11H20201' }
+    },
+    '대구': {
+        en: 'daegu', level: 'province', province: '대구', lat: 35.8714, lng: 128.6014,
+        airKorea: { stationName: '수창동', forecastRegion: '대구' }, kto: { areaCode: 4 },
+        kmaMid: { landRegId: '11H10000', taRegId: '11H10701' }
+    },
+    '인천': {
+        en: 'incheon', level: 'province', province: '인천', lat: 37.4563, lng: 126.7052,
+        airKorea: { forecastRegion: '인천' }, kto: { areaCode: 2 },
+        kmaMid: { landRegId: '11B00000', taRegId: '11B20201' }
+    },
+    '광주': {
+        en: 'gwangju', level: 'province', province: '광주', lat: 35.1595, lng: 126.8526,
+        airKorea: { forecastRegion: '광주' }, kto: { areaCode: 5 },
+        kmaMid: { landRegId: '11F20000', taRegId: '11F20501' }
+    },
+    '대전': {
+        en: 'daejeon', level: 'province', province: '대전', lat: 36.3504, lng: 127.3845,
+        airKorea: { forecastRegion: '대전' }, kto: { areaCode: 3 },
+        kmaMid: { landRegId: '11C20000', taRegId: '11C20401' }
+    },
+    '울산': {
+        en: 'ulsan', level: 'province', province: '울산', lat: 35.5384, lng: 129.3114,
+        airKorea: { forecastRegion: '울산' }, kto: { areaCode: 7 },
+        kmaMid: { landRegId: '11H20000', taRegId: '11H20101' }
+    },
+    '세종': {
+        en: 'sejong', level: 'province', province: '세종', lat: 36.4800, lng: 127.2890,
+        airKorea: { forecastRegion: '세종' }, kto: { areaCode: 8 }
+    },
+    '경기': {
+        en: 'gyeonggi', level: 'province', province: '경기', lat: 37.2752, lng: 127.0095,
+        airKorea: { forecastRegion: '경기남부' }, kto: { areaCode: 31 }
+    },
+    '강원': {
+        en: 'gangwon', level: 'province', province: '강원', lat: 37.8853, lng: 127.7298,
+        airKorea: { forecastRegion: '영서' }, kto: { areaCode: 32 }
+    },
+    '충북': {
+        en: 'chungbuk', level: 'province', province: '충북', lat: 36.6357, lng: 127.4912,
+        airKorea: { forecastRegion: '충북' }, kto: { areaCode: 33 }
+    },
+    '충남': {
+        en: 'chungnam', level: 'province', province: '충남', lat: 36.6588, lng: 126.6728,
+        airKorea: { forecastRegion: '충남' }, kto: { areaCode: 34 }
+    },
+    '전북': {
+        en: 'jeonbuk', level: 'province', province: '전북', lat: 35.8203, lng: 127.1088,
+        airKorea: { forecastRegion: '전북' }, kto: { areaCode: 37 }
+    },
+    '전남': {
+        en: 'jeonnam', level: 'province', province: '전남', lat: 34.8161, lng: 126.4629,
+        airKorea: { forecastRegion: '전남' }, kto: { areaCode: 38 }
+    },
+    '경북': {
+        en: 'gyeongbuk', level: 'province', province: '경북', lat: 36.5760, lng: 128.5056,
+        airKorea: { forecastRegion: '경북' }, kto: { areaCode: 35 }
+    },
+    '경남': {
+        en: 'gyeongnam', level: 'province', province: '경남', lat: 35.2383, lng: 128.6925,
+        airKorea: { forecastRegion: '경남' }, kto: { areaCode: 36 }
+    },
+    '제주': {
+        en: 'jeju', level: 'province', province: '제주', lat: 33.4996, lng: 126.5312,
+        airKorea: { stationName: '이도동', forecastRegion: '제주' }, kto: { areaCode: 39 },
+        kmaMid: { landRegId: '11G00000', taRegId: '11G00201' }
+    },
+
+    // === 시군구 ===
+    '수원': {
+        en: 'suwon', level: 'city', province: '경기', lat: 37.2636, lng: 127.0286,
+        airKorea: { forecastRegion: '경기남부' }, kto: { areaCode: 31, sigunguCode: 13 },
+        kmaMid: { landRegId: '11B00000', taRegId: '11B20601' }
+    },
+    '가평': {
+        en: 'gapyeong', level: 'city', province: '경기', lat: 37.8315, lng: 127.5105,
+        airKorea: { forecastRegion: '경기북부' }, kto: { areaCode: 31, sigunguCode: 1 }
+    },
+    '강릉': {
+        en: 'gangneung', level: 'city', province: '강원', lat: 37.7519, lng: 128.8761,
+        airKorea: { stationName: '옥천동', forecastRegion: '영동' }, kto: { areaCode: 32, sigunguCode: 1 },
+        kmaMid: { landRegId: '11D20000', taRegId: '11D20501' }
+    },
+    '속초': {
+        en: 'sokcho', level: 'city', province: '강원', lat: 38.2070, lng: 128.5918,
+        airKorea: { forecastRegion: '영동' }, kto: { areaCode: 32, sigunguCode: 5 }
+    },
+    '양양': {
+        en: 'yangyang', level: 'city', province: '강원', lat: 38.0754, lng: 128.6190,
+        airKorea: { forecastRegion: '영동' }, kto: { areaCode: 32, sigunguCode: 7 }
+    },
+    '춘천': {
+        en: 'chuncheon', level: 'city', province: '강원', lat: 37.8813, lng: 127.7298,
+        airKorea: { forecastRegion: '영서' }, kto: { areaCode: 32, sigunguCode: 13 },
+        kmaMid: { landRegId: '11D10000', taRegId: '11D10301' }
+    },
+    '평창': {
+        en: 'pyeongchang', level: 'city', province: '강원', lat: 37.3705, lng: 128.3903,
+        airKorea: { forecastRegion: '영서' }, kto: { areaCode: 32, sigunguCode: 15 }
+    },
+    '청주': {
+        en: 'cheongju', level: 'city', province: '충북', lat: 36.6424, lng: 127.4890,
+        airKorea: { forecastRegion: '충북' }, kto: { areaCode: 33, sigunguCode: 10 },
+        kmaMid: { landRegId: '11C10000', taRegId: '11C10301' }
+    },
+    '공주': {
+        en: 'gongju', level: 'city', province: '충남', lat: 36.4465, lng: 127.1190,
+        airKorea: { forecastRegion: '충남' }, kto: { areaCode: 34, sigunguCode: 1 }
+    },
+    '태안': {
+        en: 'taean', level: 'city', province: '충남', lat: 36.7456, lng: 126.2978,
+        airKorea: { forecastRegion: '충남' }, kto: { areaCode: 34, sigunguCode: 14 }
+    },
+    '전주': {
+        en: 'jeonju', level: 'city', province: '전북', lat: 35.8242, lng: 127.1480,
+        airKorea: { forecastRegion: '전북' }, kto: { areaCode: 37, sigunguCode: 12 },
+        kmaMid: { landRegId: '11F10000', taRegId: '11F10201' }
+    },
+    '군산': {
+        en: 'gunsan', level: 'city', province: '전북', lat: 35.9676, lng: 126.7366,
+        airKorea: { forecastRegion: '전북' }, kto: { areaCode: 37, sigunguCode: 2 }
+    },
+    '남원': {
+        en: 'namwon', level: 'city', province: '전북', lat: 35.4164, lng: 127.3904,
+        airKorea: { forecastRegion: '전북' }, kto: { areaCode: 37, sigunguCode: 4 }
+    },
+    '여수': {
+        en: 'yeosu', level: 'city', province: '전남', lat: 34.7604, lng: 127.6622,
+        airKorea: { forecastRegion: '전남' }, kto: { areaCode: 38, sigunguCode: 13 },
+        kmaMid: { landRegId: '11F20000', taRegId: '11F20401' }
+    },
+    '순천': {
+        en: 'suncheon', level: 'city', province: '전남', lat: 34.9507, lng: 127.4872,
+        airKorea: { forecastRegion: '전남' }, kto: { areaCode: 38, sigunguCode: 11 }
+    },
+    '목포': {
+        en: 'mokpo', level: 'city', province: '전남', lat: 34.8118, lng: 126.3922,
+        airKorea: { forecastRegion: '전남' }, kto: { areaCode: 38, sigunguCode: 8 },
+        kmaMid: { landRegId: '11F20000', taRegId: '21F20801' }
+    },
+    '경주': {
+        en: 'gyeongju', level: 'city', province: '경북', lat: 35.8562, lng: 129.2247,
+        airKorea: { forecastRegion: '경북' }, kto: { areaCode: 35, sigunguCode: 2 }
+    },
+    '안동': {
+        en: 'andong', level: 'city', province: '경북', lat: 36.5684, lng: 128.7294,
+        airKorea: { forecastRegion: '경북' }, kto: { areaCode: 35, sigunguCode: 11 },
+        kmaMid: { landRegId: '11H10000', taRegId: '11H10501' }
+    },
+    '포항': {
+        en: 'pohang', level: 'city', province: '경북', lat: 36.0190, lng: 129.3435,
+        airKorea: { forecastRegion: '경북' }, kto: { areaCode: 35, sigunguCode: 23 },
+        kmaMid: { landRegId: '11H10000', taRegId: '11H10201' }
+    },
+    '창원': {
+        en: 'changwon', level: 'city', province: '경남', lat: 35.2280, lng: 128.6811,
+        airKorea: { forecastRegion: '경남' }, kto: { areaCode: 36, sigunguCode: 16 },
+        kmaMid: { landRegId: '11H20000', taRegId: '11H20301' }
+    },
+    '통영': {
+        en: 'tongyeong', level: 'city', province: '경남', lat: 34.8544, lng: 128.4331,
+        airKorea: { forecastRegion: '경남' }, kto: { areaCode: 36, sigunguCode: 17 }
+    },
+    '거제': {
+        en: 'geoje', level: 'city', province: '경남', lat: 34.8806, lng: 128.6211,
+        airKorea: { forecastRegion: '경남' }, kto: { areaCode: 36, sigunguCode: 1 }
+    },
+    '제주시': {
+        en: 'jeju-si', level: 'city', province: '제주', lat: 33.4996, lng: 126.5312,
+        airKorea: { stationName: '이도동', forecastRegion: '제주' }, kto: { areaCode: 39, sigunguCode: 4 },
+        kmaMid: { landRegId: '11G00000', taRegId: '11G00201' }
+    },
+    '서귀포': {
+        en: 'seogwipo', level: 'city', province: '제주', lat: 33.2541, lng: 126.5600,
+        airKorea: { forecastRegion: '제주' }, kto: { areaCode: 39, sigunguCode: 3 },
+        kmaMid: { landRegId: '11G00000', taRegId: '11G00401' }
+    }
+};
+
+// 랭킹에서 regions/province를 지정하지 않을 때 쓰는 기본 지역
+const DEFAULT_RANKING_REGIONS = ['서울', '부산', '제주', '강릉', '전주', '대구', '광주', '대전'];
+
+// 한글 지역명 또는 영문 별칭(en)으로 찾는다
+function findRegion(value) {
+    const name = String(value || '').trim();
+    if (REGIONS[name]) return { name, ...REGIONS[name] };
+
+    const entry = Object.entries(REGIONS).find(([, region]) => region.en === name.toLowerCase());
+    return entry ? { name: entry[0], ...entry[1] } : null;
+}
+
+// 시도에 속한 지역 (시도 자체는 빼고 시군구만)
+function listRegionsInProvince(province) {
+    const target = findRegion(province);
+    if (!target || target.level !== 'province') return null;
+    return Object.keys(REGIONS).filter(name => REGIONS[name].level === 'city' && REGIONS[name].province === target.province);
+}
+
+module.exports = { REGIONS, DEFAULT_RANKING_REGIONS, findRegion, listRegionsInProvince };
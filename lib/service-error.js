@@ -0,0 +1,11 @@
+// 서비스 모듈이 던지는 오류. 핸들러는 status/code를 그대로 응답에 쓰고,
+// name으로 외부 API(axios 등)에서 올라온 오류와 구분한다
+function createServiceError(code, message, status = 502) {
+    const error = new Error(message);
+    error.name = 'ServiceError';
+    error.code = code;
+    error.status = status;
+    return error;
+}
+
+module.exports = { createServiceError };
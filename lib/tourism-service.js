@@ -0,0 +1,88 @@
+// 한국관광공사 위치기반 관광정보(locationBasedList2) 서비스.
+// /api/tourism은 ESM 핸들러라 require할 수 없어, 종합 점수에 필요한 관광지 조회만 따로 둔다
+const { cached } = require('./cache');
+const { createServiceError } = require('./service-error');
+
+const LOCATION_BASED_LIST_URL = 'https://apis.data.go.kr/B551011/KorService2/locationBasedList2';
+const ATTRACTION_CONTENT_TYPE = 12;
+// 지역 대표 좌표에서 이 반경(m) 안의 관광지를 센다. 시도 전체 등록 수는 거의 모든 지역이 많아 차이가 나지 않는다
+const NEARBY_RADIUS_M = 5000;
+// 관광지 목록은 자주 바뀌지 않는다
+const TOURISM_CACHE_TTL = 60 * 60 * 1000;
+const TOURISM_TIMEOUT_MS = 8000;
+
+function getTourismApiKey() {
+    return process.env.TOURISM_API_KEY || null;
+}
+
+// === 주변 관광지 (totalCount로 반경 안 관광지 수를 본다) ===
+// 목록 API는 게시 중(showflag=1)인 콘텐츠만 돌려주므로 폐쇄·비공개 처리된 관광지는 세지 않는다
+function getNearbyAttractions(apiKey, { lat, lng, radius = NEARBY_RADIUS_M, numOfRows = 5 }) {
+    const params = { lat, lng, radius, numOfRows };
+    return cached(`tourism:nearby:${JSON.stringify(params)}`, TOURISM_CACHE_TTL, async () => ({
+        ...await requestLocationBasedList(apiKey, params),
+        radius
+    }));
+}
+
+async function requestLocationBasedList(apiKey, { lat, lng, radius, numOfRows }) {
+    const params = new URLSearchParams({
+        serviceKey: apiKey,
+        MobileOS: 'ETC',
+        MobileApp: 'HealingK',
+        _type: 'json',
+        contentTypeId: ATTRACTION_CONTENT_TYPE,
+        mapX: lng,
+        mapY: lat,
+        radius,
+        numOfRows,
+        pageNo: 1
+    });
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), TOURISM_TIMEOUT_MS);
+
+    let response;
+    try {
+        response = await fetch(`${LOCATION_BASED_LIST_URL}?${params.toString()}`, {
+            headers: { 'Accept': 'application/json' },
+            signal: controller.signal
+        });
+    } catch (error) {
+        throw createServiceError('TOURISM_UNAVAILABLE', error.name === 'AbortError' ? '관광정보 요청 시간 초과' : error.message);
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    if (!response.ok) {
+        throw createServiceError('TOURISM_UNAVAILABLE', `관광정보 API HTTP ${response.status}`);
+    }
+
+    // 인증 오류 등은 JSON 요청에도 XML로 응답된다
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('application/json')) {
+        const text = await response.text();
+        const errorMsg = text.match(/<returnAuthMsg>(.*?)<\/returnAuthMsg>/)?.[1] ||
+                        text.match(/<resultMsg>(.*?)<\/resultMsg>/)?.[1] ||
+                        '알 수 없는 응답 형식';
+        throw createServiceError('TOURISM_UNAVAILABLE', `관광정보 API 오류: ${errorMsg}`);
+    }
+
+    const data = await response.json();
+    const header = data.response?.header;
+    if (header?.resultCode !== '0000' && header?.resultCode !== '00') {
+        throw createServiceError('TOURISM_UNAVAILABLE', `관광정보 API 오류: ${header?.resultMsg || '알 수 없는 오류'}`);
+    }
+
+    const body = data.response.body || {};
+    // 반경 안에 관광지가 없으면 items가 빈 문자열로 온다
+    const items = body.items?.item || [];
+    return {
+        items: { item: Array.isArray(items) ? items : [items] },
+        totalCount: body.totalCount || 0,
+        numOfRows: body.numOfRows,
+        pageNo: body.pageNo
+    };
+}
+
+module.exports = { getTourismApiKey, getNearbyAttractions };
@@ -0,0 +1,823 @@
+// 기상청 데이터 서비스: 단기예보·초단기실황·중기예보·기상특보 조회와 가공.
+// /api/weather 핸들러와 /api/combined, /api/ranking이 HTTP를 거치지 않고 함께 쓴다
+const axios = require('axios');
+const { cached } = require('./cache');
+const { createServiceError } = require('./service-error');
+const { REGIONS } = require('./regions');
+
+const VILAGE_FCST_URL = 'http://apis.data.go.kr/1360000/VilageFcstInfoService_2.0/getVilageFcst';
+const FORECAST_PAGE_SIZE = 1000;
+const ULTRA_SRT_NCST_URL = 'http://apis.data.go.kr/1360000/VilageFcstInfoService_2.0/getUltraSrtNcst';
+const ULTRA_SRT_FCST_URL = 'http://apis.data.go.kr/1360000/VilageFcstInfoService_2.0/getUltraSrtFcst';
+
+const KMA_NO_DATA = '03';
+
+// 기상특보 발효 현황 (전국 통보문 1건에 발효 중인 특보가 모두 담긴다)
+const WTHR_PWN_STATUS_URL = 'http://apis.data.go.kr/1360000/WthrWrnInfoService/getPwnStatus';
+
+// 특보 구역 표기는 시도명(약칭 또는 정식 명칭)으로 시작한다. 지역의 시도는 레지스트리(province)에서 찾는다
+const ALERT_PROVINCE_ALIASES = {
+    '충북': ['충북', '충청북도'], '충남': ['충남', '충청남도'],
+    '전북': ['전북', '전라북도'], '전남': ['전남', '전라남도'],
+    '경북': ['경북', '경상북도'], '경남': ['경남', '경상남도']
+};
+
+// 서비스별 발표시각(base_time)과 발표 후 API에 반영되기까지의 지연(분)
+const HOURLY_BASE_TIMES = Array.from({ length: 24 }, (_, hour) => String(hour).padStart(2, '0'));
+const FORECAST_SCHEDULES = {
+    // 단기예보: 02, 05, ..., 23시 발표, HH10 이후 제공
+    vilage: { baseTimes: ['0200', '0500', '0800', '1100', '1400', '1700', '2000', '2300'], lagMinutes: 10 },
+    // 초단기실황: 매시 정각 자료, HH40 이후 제공
+    ultraNcst: { baseTimes: HOURLY_BASE_TIMES.map(hh => `${hh}00`), lagMinutes: 40 },
+    // 초단기예보: 매시 30분 발표, HH45 이후 제공
+    ultraFcst: { baseTimes: HOURLY_BASE_TIMES.map(hh => `${hh}30`), lagMinutes: 15 },
+    // 중기예보: 06시/18시 발표
+    mid: { baseTimes: ['0600', '1800'], lagMinutes: 30 }
+};
+
+const MID_LAND_FCST_URL = 'http://apis.data.go.kr/1360000/MidFcstInfoService/getMidLandFcst';
+const MID_TA_URL = 'http://apis.data.go.kr/1360000/MidFcstInfoService/getMidTa';
+const MID_FCST_MAX_DAY = 10;
+
+// 단기예보 코드값
+const SKY_LABELS = { '1': '맑음', '3': '구름많음', '4': '흐림' };
+const PTY_LABELS = {
+    '0': '없음', '1': '비', '2': '비/눈', '3': '눈', '4': '소나기',
+    '5': '빗방울', '6': '빗방울눈날림', '7': '눈날림'   // 5~7은 초단기 전용
+};
+
+// 기상청 격자 변환용 Lambert Conformal Conic 투영 상수 (동네예보 격자 5km)
+const KMA_GRID = {
+    RE: 6371.00877,   // 지구 반경(km)
+    GRID: 5.0,        // 격자 간격(km)
+    SLAT1: 30.0,      // 투영 위도1
+    SLAT2: 60.0,      // 투영 위도2
+    OLON: 126.0,      // 기준점 경도
+    OLAT: 38.0,       // 기준점 위도
+    XO: 43,           // 기준점 X좌표(격자)
+    YO: 136           // 기준점 Y좌표(격자)
+};
+
+// 단기예보 격자가 덮는 대략적인 범위 (이 밖의 좌표는 예보가 없다)
+const KOREA_BOUNDS = { minLat: 32.0, maxLat: 39.5, minLng: 124.0, maxLng: 132.0 };
+
+// 시간별 타임라인에 담는 단기예보 항목
+const TIMELINE_CATEGORIES = ['TMP', 'SKY', 'PTY', 'POP', 'PCP', 'SNO', 'REH', 'WSD'];
+
+// 발표분 캐시 유지 시간. 특보는 수시로 바뀌므로 짧게 둔다
+const KMA_CACHE_TTL = 10 * 60 * 1000;
+const ALERT_CACHE_TTL = 5 * 60 * 1000;
+
+// === 현재 날씨: 단기예보에서 현재 시각에 가장 가까운 값 ===
+async function getCurrentWeather(apiKey, { region, location, now = new Date() }) {
+    const coord = { nx: location.nx, ny: location.ny };
+
+    // 발표 직후 NO_DATA에 대비해 직전 발표시각까지 후보로 둔다
+    const baseCandidates = resolveBaseTimes(now, FORECAST_SCHEDULES.vilage);
+    console.log('API 요청 파라미터:', {
+        baseCandidates,
+        nx: coord.nx,
+        ny: coord.ny
+    });
+
+    const { items, base } = await fetchLatestPublished(baseCandidates, candidate => fetchKmaItems(VILAGE_FCST_URL, apiKey, {
+        numOfRows: 100,
+        base_date: candidate.baseDate,
+        base_time: candidate.baseTime,
+        nx: coord.nx,
+        ny: coord.ny
+    }));
+    const { baseDate, baseTime } = base;
+    console.log('받은 데이터 항목 수:', items.length, base);
+
+    const kst = new Date(now.getTime() + 9 * 60 * 60 * 1000);
+
+    // 현재 시각(정시)과 가장 가까운 예보 시각의 데이터 찾기
+    // 발표일이 전날일 수 있으므로 날짜까지 포함해 비교한다
+    const currentSlot = kst.toISOString().slice(0, 13).replace(/[-T]/g, '') + '00';
+    // 받은 예보에 없는 값은 지어내지 않고 null로 둔다 (종합 점수에서 데이터 없음으로 빠진다)
+    let temperature = null;
+    let sky = null;
+    let precipitation = null;
+
+    const latestData = {};
+    const latestSlot = {};
+    items.forEach(item => {
+        const category = item.category;
+        const slot = `${item.fcstDate}${item.fcstTime}`;
+        if (slot < currentSlot) return;
+
+        if (!latestSlot[category] || slot < latestSlot[category]) {
+            latestSlot[category] = slot;
+            latestData[category] = item.fcstValue;
+        }
+    });
+
+    console.log('파싱된 최신 데이터:', latestData);
+
+    // 온도 (TMP)
+    if (latestData.TMP) {
+        temperature = parseFloat(latestData.TMP);
+    }
+
+    // 하늘상태 (SKY)
+    if (latestData.SKY && SKY_LABELS[latestData.SKY]) {
+        sky = SKY_LABELS[latestData.SKY];
+    }
+
+    // 강수형태 (PTY)
+    if (latestData.PTY && PTY_LABELS[latestData.PTY]) {
+        precipitation = PTY_LABELS[latestData.PTY];
+    }
+
+    return {
+        region,
+        location,
+        temperature,
+        sky,
+        precipitation,
+        message: '🌟 실시간 기상청 데이터',
+        time: new Date().toLocaleString('ko-KR'),
+        debug: {
+            baseDate,
+            baseTime,
+            fallback: base.fallback,
+            coordinates: coord,
+            itemCount: items.length
+        }
+    };
+}
+
+// === 예보: 단기예보 전체를 시간별 타임라인과 일별 최저/최고로 정리하고 중기예보로 10일을 채운다 ===
+async function getForecast(apiKey, { region, location, now = new Date() }) {
+    const coord = { nx: location.nx, ny: location.ny };
+    const baseCandidates = resolveBaseTimes(now, FORECAST_SCHEDULES.vilage);
+    const midRegion = resolveMidTermRegion(region, location);
+    const [shortTerm, midTerm] = await Promise.allSettled([
+        fetchLatestPublished(baseCandidates, base => fetchVilageForecastItems(apiKey, { ...base, ...coord })),
+        midRegion ? fetchMidTermForecast(apiKey, midRegion, now) : Promise.resolve(null)
+    ]);
+
+    if (shortTerm.status === 'rejected') {
+        console.error('단기예보 조회 오류:', shortTerm.reason.message);
+        throw createServiceError('FORECAST_UNAVAILABLE', `단기예보를 가져올 수 없습니다: ${shortTerm.reason.message}`);
+    }
+    const { items, base: { baseDate, baseTime, fallback } } = shortTerm.value;
+    const { timeline, daily: shortDaily } = buildForecastTimeline(items);
+
+    // 중기예보가 실패해도 단기예보만으로 응답한다
+    if (midTerm.status === 'rejected') {
+        console.warn('중기예보 조회 실패 (단기예보만 반환):', midTerm.reason.message);
+    }
+    const midDaily = midTerm.status === 'fulfilled' && midTerm.value ? buildMidTermDaily(midTerm.value) : [];
+    const daily = mergeDailyForecasts(shortDaily, midDaily);
+
+    return {
+        region,
+        mode: 'forecast',
+        location,
+        baseDate,
+        baseTime,
+        fallback,
+        coordinates: coord,
+        timeline,
+        daily,
+        midTerm: midRegion ? {
+            name: midRegion.name,
+            landRegId: midRegion.landRegId,
+            taRegId: midRegion.taRegId,
+            tmFc: midTerm.status === 'fulfilled' ? midTerm.value.tmFc : null,
+            fallback: midTerm.status === 'fulfilled' ? midTerm.value.fallback : null,
+            days: midDaily.length,
+            ...(midTerm.status === 'rejected' && { error: midTerm.reason.message })
+        } : null,
+        message: `🌤️ ${region} ${daily.length}일 예보 (단기 ${shortDaily.length}일 + 중기 ${daily.length - shortDaily.length}일)`,
+        time: new Date().toLocaleString('ko-KR'),
+        itemCount: items.length
+    };
+}
+
+// === 실황: 초단기실황(관측값) + 초단기예보(향후 6시간) ===
+async function getNowcast(apiKey, { region, location, now = new Date() }) {
+    const coord = { nx: location.nx, ny: location.ny };
+    const [ncst, fcst] = await Promise.allSettled([
+        fetchUltraShortItems(ULTRA_SRT_NCST_URL, apiKey, FORECAST_SCHEDULES.ultraNcst, coord, now),
+        fetchUltraShortItems(ULTRA_SRT_FCST_URL, apiKey, FORECAST_SCHEDULES.ultraFcst, coord, now)
+    ]);
+
+    // 관측값이 없으면 실황이라 부를 수 없으므로 실패로 처리한다
+    if (ncst.status === 'rejected') {
+        console.error('초단기실황 조회 오류:', ncst.reason.message);
+        throw createServiceError('NOWCAST_UNAVAILABLE', `초단기실황을 가져올 수 없습니다: ${ncst.reason.message}`);
+    }
+
+    const observed = buildObservation(ncst.value.items);
+    const nextHours = fcst.status === 'fulfilled' ? buildUltraShortTimeline(fcst.value.items) : [];
+    if (fcst.status === 'rejected') {
+        console.warn('초단기예보 조회 실패 (실황만 반환):', fcst.reason.message);
+    }
+
+    // 실황에는 하늘상태가 없어 가장 가까운 초단기예보 시각의 값을 쓴다
+    const sky = nextHours[0]?.sky || null;
+
+    return {
+        region,
+        mode: 'now',
+        location,
+        temperature: observed.temperature,
+        sky,
+        precipitation: observed.precipitationType,
+        observed,
+        nextHours,
+        base: {
+            observation: ncst.value.base,
+            forecast: fcst.status === 'fulfilled' ? fcst.value.base : null
+        },
+        ...(fcst.status === 'rejected' && { forecastError: fcst.reason.message }),
+        message: `📡 ${region} 초단기실황 (${observed.baseTime} 관측)`,
+        time: new Date().toLocaleString('ko-KR')
+    };
+}
+
+// === 특보: 지역에 발효 중인 기상특보 ===
+async function getWeatherAlerts(apiKey, { region, location }) {
+    // 좌표 요청은 가장 가까운 등록 지점의 시도로 특보 구역을 찾는다
+    const alertRegion = location.source === 'coordinates'
+        ? resolveMidTermRegion(region, location)?.name
+        : region;
+
+    let status;
+    try {
+        status = await fetchWarningStatus(apiKey);
+    } catch (error) {
+        console.error('기상특보 조회 오류:', error.message);
+        throw createServiceError('ALERTS_UNAVAILABLE', `기상특보를 가져올 수 없습니다: ${error.message}`);
+    }
+
+    const active = status ? matchActiveAlerts(status.t6, alertRegion) : [];
+    const preliminary = status ? matchPreliminaryAlerts(status.t7, alertRegion) : [];
+
+    return {
+        region,
+        mode: 'alerts',
+        location,
+        alertRegion,
+        issuedAt: status?.tmFc || null,
+        active,
+        preliminary,
+        hasWarning: active.some(alert => alert.severity === 'warning'),
+        hasAdvisory: active.some(alert => alert.severity === 'advisory'),
+        message: active.length
+            ? `🚨 ${region} ${active.map(alert => alert.title).join(', ')} 발효 중`
+            : `✅ ${region} 발효 중인 기상특보 없음`,
+        time: new Date().toLocaleString('ko-KR')
+    };
+}
+
+async function fetchUltraShortItems(url, apiKey, schedule, { nx, ny }, now) {
+    return fetchLatestPublished(resolveBaseTimes(now, schedule), base => fetchKmaItems(url, apiKey, {
+        base_date: base.baseDate,
+        base_time: base.baseTime,
+        nx,
+        ny
+    }));
+}
+
+// 후보 발표시각을 최신순으로 시도하고, NO_DATA일 때만 다음 후보로 넘어간다
+async function fetchLatestPublished(candidates, request) {
+    for (let i = 0; i < candidates.length; i++) {
+        const base = candidates[i];
+        try {
+            const items = await request(base);
+            return { items, base: { ...base, fallback: i > 0 } };
+        } catch (error) {
+            if (error.resultCode !== KMA_NO_DATA || i === candidates.length - 1) throw error;
+            console.warn(`${Object.values(base).join(' ')} 발표분 없음, 이전 발표분으로 재시도`);
+        }
+    }
+}
+
+// 같은 발표분은 내용이 바뀌지 않으므로 캐시한다 (실패·NO_DATA는 캐시하지 않는다)
+function fetchKmaItems(url, apiKey, params, ttl = KMA_CACHE_TTL) {
+    return cached(`kma:${url}:${JSON.stringify(params)}`, ttl, () => requestKmaItems(url, apiKey, params));
+}
+
+async function requestKmaItems(url, apiKey, params) {
+    const response = await axios.get(url, {
+        params: {
+            serviceKey: apiKey,
+            numOfRows: FORECAST_PAGE_SIZE,
+            pageNo: 1,
+            dataType: 'JSON',
+            ...params
+        },
+        timeout: 10000
+    });
+
+    const header = response.data?.response?.header;
+    if (!header || header.resultCode !== '00') {
+        const error = new Error(header?.resultMsg || 'API 응답 오류');
+        error.resultCode = header?.resultCode;
+        throw error;
+    }
+
+    return response.data.response.body?.items?.item || [];
+}
+
+
+// 발효 중인 특보가 없으면 NO_DATA가 오므로 빈 현황으로 본다
+async function fetchWarningStatus(apiKey) {
+    try {
+        const items = await fetchKmaItems(WTHR_PWN_STATUS_URL, apiKey, { numOfRows: 10 }, ALERT_CACHE_TTL);
+        return items[0] || null;
+    } catch (error) {
+        if (error.resultCode === KMA_NO_DATA) return null;
+        throw error;
+    }
+}
+
+// t6 예: "o 호우경보 : 부산, 경상남도(창원, 김해), 제주도(제주도산지)"
+function matchActiveAlerts(text, region) {
+    if (!text || !region) return [];
+    const alerts = [];
+
+    String(text).split(/\r?\n/).forEach(line => {
+        const match = line.match(/^\s*o\s*([^:]+?)\s*:\s*(.+)$/);
+        if (!match) return;
+
+        const title = match[1].replace(/\s/g, '');
+        const areas = matchAlertAreas(match[2], region);
+        if (!areas.length) return;
+
+        const severity = title.endsWith('경보') ? 'warning' : title.endsWith('주의보') ? 'advisory' : 'info';
+        alerts.push({
+            title,
+            type: title.replace(/(경보|주의보)$/, ''),
+            level: severity === 'warning' ? '경보' : severity === 'advisory' ? '주의보' : null,
+            severity,
+            areas
+        });
+    });
+
+    // 경보를 먼저 보여준다
+    return alerts.sort((a, b) => (a.severity === 'warning' ? 0 : 1) - (b.severity === 'warning' ? 0 : 1));
+}
+
+// 쉼표로 구역을 나누되 괄호 안 세부 구역은 한 덩어리로 본다. 해상 구역은 육상 지역과 무관하다
+function matchAlertAreas(areaText, region) {
+    const province = REGIONS[region]?.province || region;
+    const aliases = ALERT_PROVINCE_ALIASES[province] || [province];
+    const tokens = areaText.split(/,(?![^()]*\))/).map(token => token.trim()).filter(Boolean);
+
+    return tokens.filter(token => {
+        if (token.includes('바다')) return false;
+
+        const [, name, inner] = token.match(/^([^(]+)(?:\((.*)\))?$/) || [null, token, null];
+        if (!aliases.some(alias => name.startsWith(alias))) return false;
+
+        // 광역시 단위이거나 시도 전체 발효면 일치, 세부 구역이면 지역명이 들어 있어야 한다
+        if (!inner || region === province) return true;
+        return inner.split(',').some(sub => sub.includes(region) && !sub.includes('바다'));
+    });
+}
+
+// t7 예: "(1) 강풍 예비특보\n o 10월 21일 새벽(00시~06시) : 강원도(강원북부산지)"
+// 소제목 아래 "시점 : 구역" 줄 중 지역이 포함된 것만 추린다
+function matchPreliminaryAlerts(text, region) {
+    if (!text || !region) return [];
+    const matches = [];
+    let heading = null;
+
+    String(text).split(/\r?\n/).map(line => line.trim()).forEach(line => {
+        const headingMatch = line.match(/^\(\d+\)\s*(.+)$/);
+        if (headingMatch) {
+            heading = headingMatch[1];
+            return;
+        }
+
+        // 시점과 구역은 ' : '로 구분된다
+        const separator = line.lastIndexOf(' : ');
+        if (separator === -1) return;
+        const areas = matchAlertAreas(line.slice(separator + 3), region);
+        if (areas.length) {
+            matches.push({
+                title: heading,
+                when: line.slice(0, separator).replace(/^o\s*/, ''),
+                areas
+            });
+        }
+    });
+
+    return matches;
+}
+
+// === 발표시각 결정 ===
+// now 기준으로 이미 제공된 발표시각을 최신순으로 count개 돌려준다.
+// 발표 지연(lagMinutes) 전이면 직전 발표분으로, 그날 첫 발표 전이면 전날 마지막 발표분으로 넘어간다.
+// now를 인자로 받으므로 시계를 주입해 검증할 수 있다
+function resolveBaseTimes(now, { baseTimes, lagMinutes }, count = 2) {
+    const kst = new Date(now.getTime() + 9 * 60 * 60 * 1000);
+    const minutesNow = kst.getUTCHours() * 60 + kst.getUTCMinutes();
+    const slots = baseTimes
+        .map(time => +time.slice(0, 2) * 60 + +time.slice(2, 4))
+        .sort((a, b) => b - a);
+
+    const candidates = [];
+    for (let daysBack = 0; candidates.length < count; daysBack++) {
+        const day = new Date(Date.UTC(kst.getUTCFullYear(), kst.getUTCMonth(), kst.getUTCDate() - daysBack));
+        const baseDate = day.toISOString().slice(0, 10).replace(/-/g, '');
+
+        for (const slot of slots) {
+            if (daysBack === 0 && slot + lagMinutes > minutesNow) continue;
+            const baseTime = String(Math.floor(slot / 60)).padStart(2, '0') + String(slot % 60).padStart(2, '0');
+            candidates.push({ baseDate, baseTime });
+            if (candidates.length === count) break;
+        }
+    }
+
+    return candidates;
+}
+
+function buildObservation(items) {
+    const values = {};
+    items.forEach(({ category, obsrValue }) => {
+        values[category] = obsrValue;
+    });
+    const first = items[0] || {};
+
+    return {
+        baseDate: first.baseDate || null,
+        baseTime: first.baseTime || null,
+        temperature: toNumber(values.T1H),
+        humidity: toNumber(values.REH),
+        precipitation1h: toNumber(values.RN1),
+        precipitationType: PTY_LABELS[values.PTY] || null,
+        ptyCode: values.PTY ?? null,
+        windSpeed: toNumber(values.WSD),
+        windDirection: toNumber(values.VEC)
+    };
+}
+
+function buildUltraShortTimeline(items) {
+    const slots = new Map();
+    items.forEach(({ category, fcstDate, fcstTime, fcstValue }) => {
+        const key = `${fcstDate}${fcstTime}`;
+        if (!slots.has(key)) slots.set(key, { fcstDate, fcstTime, values: {} });
+        slots.get(key).values[category] = fcstValue;
+    });
+
+    return [...slots.keys()].sort().map(key => {
+        const { fcstDate, fcstTime, values } = slots.get(key);
+        return {
+            dateTime: `${formatYmd(fcstDate)}T${fcstTime.slice(0, 2)}:${fcstTime.slice(2)}:00+09:00`,
+            date: formatYmd(fcstDate),
+            time: `${fcstTime.slice(0, 2)}:${fcstTime.slice(2)}`,
+            temperature: toNumber(values.T1H),
+            sky: SKY_LABELS[values.SKY] || null,
+            skyCode: values.SKY ?? null,
+            precipitationType: PTY_LABELS[values.PTY] || null,
+            ptyCode: values.PTY ?? null,
+            precipitation: values.RN1 ?? null,
+            humidity: toNumber(values.REH),
+            windSpeed: toNumber(values.WSD),
+            lightning: toNumber(values.LGT)
+        };
+    });
+}
+
+function toNumber(value) {
+    const num = parseFloat(value);
+    return isNaN(num) ? null : num;
+}
+
+function fetchVilageForecastItems(apiKey, params) {
+    return cached(`vilage:${JSON.stringify(params)}`, KMA_CACHE_TTL, () => requestVilageForecastItems(apiKey, params));
+}
+
+// 발표 1회분은 약 1,000개 항목이므로 totalCount를 다 받을 때까지 페이지를 넘긴다
+async function requestVilageForecastItems(apiKey, { baseDate, baseTime, nx, ny }) {
+    const items = [];
+
+    for (let pageNo = 1; ; pageNo++) {
+        const response = await axios.get(VILAGE_FCST_URL, {
+            params: {
+                serviceKey: apiKey,
+                numOfRows: FORECAST_PAGE_SIZE,
+                pageNo,
+                dataType: 'JSON',
+                base_date: baseDate,
+                base_time: baseTime,
+                nx,
+                ny
+            },
+            timeout: 10000
+        });
+
+        const header = response.data?.response?.header;
+        if (!header || header.resultCode !== '00') {
+            const error = new Error(header?.resultMsg || 'API 응답 오류');
+            error.resultCode = header?.resultCode;
+            throw error;
+        }
+
+        const body = response.data.response.body || {};
+        const pageItems = body.items?.item || [];
+        items.push(...pageItems);
+
+        if (pageItems.length < FORECAST_PAGE_SIZE || items.length >= (body.totalCount || 0)) {
+            break;
+        }
+    }
+
+    return items;
+}
+
+function buildForecastTimeline(items) {
+    const slots = new Map();
+    const days = new Map();
+
+    items.forEach(({ category, fcstDate, fcstTime, fcstValue }) => {
+        if (!days.has(fcstDate)) {
+            days.set(fcstDate, { TMN: null, TMX: null, temps: [], pops: [], ptys: new Set(), skies: [] });
+        }
+        const day = days.get(fcstDate);
+
+        // 일 최저/최고는 시간대가 아니라 날짜 단위 값이다
+        if (category === 'TMN' || category === 'TMX') {
+            day[category] = parseFloat(fcstValue);
+            return;
+        }
+
+        if (!TIMELINE_CATEGORIES.includes(category)) return;
+
+        const key = `${fcstDate}${fcstTime}`;
+        if (!slots.has(key)) {
+            slots.set(key, { fcstDate, fcstTime });
+        }
+        slots.get(key)[category] = fcstValue;
+
+        if (category === 'TMP') day.temps.push(parseFloat(fcstValue));
+        if (category === 'POP') day.pops.push(parseInt(fcstValue));
+        if (category === 'PTY' && fcstValue !== '0') day.ptys.add(PTY_LABELS[fcstValue] || fcstValue);
+        if (category === 'SKY') day.skies.push(fcstValue);
+    });
+
+    const timeline = [...slots.keys()].sort().map(key => formatTimelineSlot(slots.get(key)));
+
+    const daily = [...days.keys()].sort().map(date => {
+        const day = days.get(date);
+        const minTemp = day.TMN ?? (day.temps.length ? Math.min(...day.temps) : null);
+        const maxTemp = day.TMX ?? (day.temps.length ? Math.max(...day.temps) : null);
+
+        return {
+            date: formatYmd(date),
+            minTemp,
+            maxTemp,
+            // 발표 시각에 따라 당일 TMN/TMX가 빠지므로 그때는 시간별 기온에서 계산한다
+            minSource: day.TMN !== null ? 'TMN' : minTemp !== null ? 'hourly' : null,
+            maxSource: day.TMX !== null ? 'TMX' : maxTemp !== null ? 'hourly' : null,
+            maxPop: day.pops.length ? Math.max(...day.pops) : null,
+            sky: SKY_LABELS[mostFrequent(day.skies)] || null,
+            precipitationTypes: [...day.ptys],
+            hours: day.temps.length,
+            source: 'short'
+        };
+    });
+
+    return { timeline, daily };
+}
+
+// === 중기예보 (3~10일) ===
+// 구역 코드는 레지스트리의 kmaMid를 쓰고, 코드가 없는 지역·좌표 요청은 코드가 있는 가장 가까운 지역을 쓴다
+function resolveMidTermRegion(region, location) {
+    if (location.source !== 'coordinates' && REGIONS[region]?.kmaMid) {
+        return { name: region, ...REGIONS[region].kmaMid };
+    }
+    if (location.lat === null) return null;
+
+    // 위경도 차이로 충분하다 (한반도 범위에서 가장 가까운 지점만 고르면 된다)
+    let nearest = null;
+    Object.entries(REGIONS).forEach(([name, entry]) => {
+        if (!entry.kmaMid) return;
+        const distance = Math.hypot(entry.lat - location.lat, (entry.lng - location.lng) * Math.cos(location.lat * Math.PI / 180));
+        if (!nearest || distance < nearest.distance) nearest = { name, ...entry.kmaMid, distance };
+    });
+    delete nearest.distance;
+    return nearest;
+}
+
+async function fetchMidTermForecast(apiKey, { landRegId, taRegId }, now) {
+    const toTmFc = base => `${base.baseDate}${base.baseTime}`;
+
+    // 육상예보와 기온은 같은 발표시각으로 맞춘다
+    const { items, base } = await fetchLatestPublished(resolveBaseTimes(now, FORECAST_SCHEDULES.mid), async candidate => {
+        const params = { tmFc: toTmFc(candidate) };
+        const [land, ta] = await Promise.all([
+            fetchKmaItems(MID_LAND_FCST_URL, apiKey, { ...params, regId: landRegId }),
+            fetchKmaItems(MID_TA_URL, apiKey, { ...params, regId: taRegId })
+        ]);
+        return { land: land[0] || {}, ta: ta[0] || {} };
+    });
+
+    return { ...items, tmFc: toTmFc(base), baseDate: base.baseDate, fallback: base.fallback };
+}
+
+// 중기예보 항목은 발표일 기준 n일 후 값(wf4Am, taMin4 ...)이다. 8일 이후는 오전/오후 구분이 없다
+function buildMidTermDaily({ land, ta, baseDate }) {
+    const daily = [];
+    const start = new Date(Date.UTC(+baseDate.slice(0, 4), +baseDate.slice(4, 6) - 1, +baseDate.slice(6, 8)));
+
+    for (let day = 3; day <= MID_FCST_MAX_DAY; day++) {
+        const am = land[`wf${day}Am`] ?? land[`wf${day}`];
+        const pm = land[`wf${day}Pm`] ?? land[`wf${day}`];
+        const minTemp = toNumber(ta[`taMin${day}`]);
+        const maxTemp = toNumber(ta[`taMax${day}`]);
+        if (am === undefined && minTemp === null && maxTemp === null) continue;
+
+        const pops = [land[`rnSt${day}Am`], land[`rnSt${day}Pm`], land[`rnSt${day}`]]
+            .map(toNumber)
+            .filter(value => value !== null);
+        const date = new Date(start);
+        date.setUTCDate(date.getUTCDate() + day);
+
+        daily.push({
+            date: date.toISOString().slice(0, 10),
+            minTemp,
+            maxTemp,
+            minSource: minTemp !== null ? 'taMin' : null,
+            maxSource: maxTemp !== null ? 'taMax' : null,
+            maxPop: pops.length ? Math.max(...pops) : null,
+            sky: pm || am || null,
+            precipitationTypes: midTermPrecipitationTypes([am, pm]),
+            hours: 0,
+            source: 'mid',
+            weather: { am: am || null, pm: pm || null }
+        });
+    }
+
+    return daily;
+}
+
+function midTermPrecipitationTypes(texts) {
+    const types = new Set();
+    texts.filter(Boolean).forEach(text => {
+        if (text.includes('소나기')) types.add('소나기');
+        else if (text.includes('비/눈')) types.add('비/눈');
+        else if (text.includes('비')) types.add('비');
+        if (text.includes('눈') && !text.includes('비/눈')) types.add('눈');
+    });
+    return [...types];
+}
+
+// 단기예보가 있는 날은 단기예보를 쓰고, 그 이후만 중기예보로 채운다
+function mergeDailyForecasts(shortDaily, midDaily) {
+    const covered = new Set(shortDaily.map(day => day.date));
+    return [...shortDaily, ...midDaily.filter(day => !covered.has(day.date))]
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function formatTimelineSlot(slot) {
+    return {
+        dateTime: `${formatYmd(slot.fcstDate)}T${slot.fcstTime.slice(0, 2)}:${slot.fcstTime.slice(2)}:00+09:00`,
+        date: formatYmd(slot.fcstDate),
+        time: `${slot.fcstTime.slice(0, 2)}:${slot.fcstTime.slice(2)}`,
+        temperature: toNumber(slot.TMP),
+        sky: SKY_LABELS[slot.SKY] || null,
+        skyCode: slot.SKY || null,
+        precipitationType: PTY_LABELS[slot.PTY] || null,
+        ptyCode: slot.PTY || null,
+        pop: toNumber(slot.POP),
+        // PCP/SNO는 '강수없음', '1mm 미만' 같은 문자열이라 그대로 둔다
+        precipitation: slot.PCP || null,
+        snow: slot.SNO || null,
+        humidity: toNumber(slot.REH),
+        windSpeed: toNumber(slot.WSD)
+    };
+}
+
+function mostFrequent(values) {
+    const counts = {};
+    let best = null;
+    values.forEach(value => {
+        counts[value] = (counts[value] || 0) + 1;
+        if (best === null || counts[value] > counts[best]) best = value;
+    });
+    return best;
+}
+
+function formatYmd(ymd) {
+    return `${ymd.slice(0, 4)}-${ymd.slice(4, 6)}-${ymd.slice(6, 8)}`;
+}
+
+// === 위치 → 기상청 격자 ===
+function resolveLocation(query, region) {
+    const lat = query.lat ?? query.mapy;
+    const lng = query.lng ?? query.mapx;
+
+    if (lat !== undefined || lng !== undefined) {
+        const latNum = parseFloat(lat);
+        const lngNum = parseFloat(lng);
+
+        if (isNaN(latNum) || isNaN(lngNum)) {
+            return { error: 'INVALID_COORDINATES', message: 'lat/lng(또는 mapy/mapx)는 숫자여야 하며 함께 지정해야 합니다' };
+        }
+        if (latNum < KOREA_BOUNDS.minLat || latNum > KOREA_BOUNDS.maxLat ||
+            lngNum < KOREA_BOUNDS.minLng || lngNum > KOREA_BOUNDS.maxLng) {
+            return { error: 'OUT_OF_RANGE', message: `기상청 예보 범위를 벗어난 좌표입니다: ${latNum}, ${lngNum}` };
+        }
+
+        const grid = latLngToGrid(latNum, lngNum);
+        return { source: 'coordinates', lat: latNum, lng: lngNum, ...grid };
+    }
+
+    // 등록 지역은 레지스트리 대표 좌표를 좌표 요청과 같은 방식으로 격자로 바꾸고, 중기예보 지점을 고르는 데도 쓴다
+    const entry = REGIONS[region];
+    if (!entry) {
+        return { error: 'UNSUPPORTED_REGION', message: `좌표가 등록되지 않은 지역입니다: ${region} (lat/lng로 요청하세요)` };
+    }
+    return { source: 'region', lat: entry.lat, lng: entry.lng, ...latLngToGrid(entry.lat, entry.lng) };
+}
+
+// 기상청 동네예보 격자 변환 (위경도 → nx, ny). 기상청 공개 변환 코드와 같은 계산이다
+function latLngToGrid(lat, lng) {
+    const DEGRAD = Math.PI / 180.0;
+    const re = KMA_GRID.RE / KMA_GRID.GRID;
+    const slat1 = KMA_GRID.SLAT1 * DEGRAD;
+    const slat2 = KMA_GRID.SLAT2 * DEGRAD;
+    const olon = KMA_GRID.OLON * DEGRAD;
+    const olat = KMA_GRID.OLAT * DEGRAD;
+
+    let sn = Math.tan(Math.PI * 0.25 + slat2 * 0.5) / Math.tan(Math.PI * 0.25 + slat1 * 0.5);
+    sn = Math.log(Math.cos(slat1) / Math.cos(slat2)) / Math.log(sn);
+    let sf = Math.tan(Math.PI * 0.25 + slat1 * 0.5);
+    sf = Math.pow(sf, sn) * Math.cos(slat1) / sn;
+    let ro = Math.tan(Math.PI * 0.25 + olat * 0.5);
+    ro = re * sf / Math.pow(ro, sn);
+
+    let ra = Math.tan(Math.PI * 0.25 + lat * DEGRAD * 0.5);
+    ra = re * sf / Math.pow(ra, sn);
+    let theta = lng * DEGRAD - olon;
+    if (theta > Math.PI) theta -= 2.0 * Math.PI;
+    if (theta < -Math.PI) theta += 2.0 * Math.PI;
+    theta *= sn;
+
+    return {
+        nx: Math.floor(ra * Math.sin(theta) + KMA_GRID.XO + 0.5),
+        ny: Math.floor(ro - ra * Math.cos(theta) + KMA_GRID.YO + 0.5)
+    };
+}
+
+// === 자체 점검 ===
+// 발표시각 결정(시계 주입)과 격자 변환을 외부 호출 없이 확인한다. npm test로 실행
+function runTests() {
+    const kst = text => new Date(`${text}+09:00`);
+    const bases = (now, schedule) => resolveBaseTimes(kst(now), FORECAST_SCHEDULES[schedule])
+        .map(({ baseDate, baseTime }) => `${baseDate} ${baseTime}`);
+
+    const cases = [
+        // 단기예보: 그날 첫 발표(02시) 제공 전이면 전날 마지막 발표로 넘어간다 (연도 경계 포함)
+        ['단기예보 자정 직후', bases('2026-03-01T00:30', 'vilage'), ['20260228 2300', '20260228 2000']],
+        ['단기예보 02:05 (제공 전)', bases('2026-01-01T02:05', 'vilage'), ['20251231 2300', '20251231 2000']],
+        ['단기예보 02:10 (제공 시작)', bases('2026-01-01T02:10', 'vilage'), ['20260101 0200', '20251231 2300']],
+        // 초단기예보: HH30 발표분은 HH45부터 제공
+        ['초단기예보 10:44', bases('2026-03-01T10:44', 'ultraFcst'), ['20260301 0930', '20260301 0830']],
+        ['초단기예보 10:45', bases('2026-03-01T10:45', 'ultraFcst'), ['20260301 1030', '20260301 0930']],
+        ['초단기예보 자정 직후', bases('2026-03-01T00:20', 'ultraFcst'), ['20260228 2330', '20260228 2230']],
+        // 초단기실황: HH00 자료는 HH40부터 제공
+        ['초단기실황 10:39', bases('2026-03-01T10:39', 'ultraNcst'), ['20260301 0900', '20260301 0800']],
+        ['초단기실황 10:40', bases('2026-03-01T10:40', 'ultraNcst'), ['20260301 1000', '20260301 0900']],
+        // 중기예보: 06시·18시 발표분은 30분 뒤부터 제공
+        ['중기예보 06:29', bases('2026-03-01T06:29', 'mid'), ['20260228 1800', '20260228 0600']],
+        ['중기예보 06:30', bases('2026-03-01T06:30', 'mid'), ['20260301 0600', '20260228 1800']],
+        ['중기예보 18:29', bases('2026-03-01T18:29', 'mid'), ['20260301 0600', '20260228 1800']],
+        ['중기예보 18:30', bases('2026-03-01T18:30', 'mid'), ['20260301 1800', '20260301 0600']],
+        // 격자 변환: 기준점(38N, 126E)과 기상청 격자표의 대표 지점
+        ['격자 기준점', latLngToGrid(38, 126), { nx: 43, ny: 136 }],
+        ['격자 서울', latLngToGrid(37.5665, 126.9780), { nx: 60, ny: 127 }],
+        ['격자 부산', latLngToGrid(35.1796, 129.0756), { nx: 98, ny: 76 }],
+        ['격자 제주', latLngToGrid(33.4996, 126.5312), { nx: 53, ny: 38 }]
+    ];
+
+    const failures = cases
+        .filter(([, actual, expected]) => JSON.stringify(actual) !== JSON.stringify(expected))
+        .map(([name, actual, expected]) => ({ name, actual, expected }));
+
+    failures.forEach(({ name, actual, expected }) => {
+        console.error(`❌ ${name}: ${JSON.stringify(actual)} (기대값 ${JSON.stringify(expected)})`);
+    });
+    console.log(`🧪 weather-service: ${cases.length - failures.length}/${cases.length} 통과`);
+
+    return { passed: cases.length - failures.length, failed: failures.length, failures };
+}
+
+module.exports = {
+    FORECAST_SCHEDULES,
+    resolveLocation,
+    latLngToGrid,
+    resolveBaseTimes,
+    getCurrentWeather,
+    getForecast,
+    getNowcast,
+    getWeatherAlerts,
+    runTests
+};